@@ -0,0 +1,163 @@
+// End-to-end check of the payment paths against a running server and its
+// database: Razorpay webhook signature verification, idempotent event
+// handling, capture (including an amount mismatch) and the unpaid-order
+// expiry sweep. Test documents are created directly in the database and
+// removed afterwards.
+//
+// Start the server first with a short sweep interval and scheduler tick (the
+// sweep is a scheduled job) and the same env, e.g.
+//   PAYMENT_SWEEP_INTERVAL_MS=2000 SCHEDULER_TICK_MS=1000 RAZORPAY_WEBHOOK_SECRET=test npm start
+// The server needs a replica set (transactions) like in production.
+//
+// Usage: RAZORPAY_WEBHOOK_SECRET=test node scripts/check-payments.js [--api=http://localhost:5000]
+require("dotenv").config();
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const apiArg = process.argv.find(arg => arg.startsWith("--api="));
+const API_URL = apiArg ? apiArg.split("=")[1] : `http://localhost:${process.env.PORT || 5000}`;
+const SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+const SWEEP_WAIT_MS = ((parseInt(process.env.PAYMENT_SWEEP_INTERVAL_MS) || 60 * 1000) +
+  (parseInt(process.env.SCHEDULER_TICK_MS) || 30 * 1000)) * 2 + 2000;
+
+const runId = crypto.randomBytes(4).toString("hex");
+let failures = 0;
+
+const check = (name, condition, detail) => {
+  console.log(`${condition ? "✅" : "❌"} ${name}${condition || detail === undefined ? "" : ` (${detail})`}`);
+  if (!condition) {
+    failures++;
+  }
+};
+
+const sign = (body, secret = SECRET) => crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+// POST a Razorpay webhook; signature is computed over the exact body sent
+const sendWebhook = async (event, { signature, eventId = `evt_${runId}_${crypto.randomBytes(4).toString("hex")}` } = {}) => {
+  const body = JSON.stringify(event);
+  const headers = { "Content-Type": "application/json", "X-Razorpay-Event-Id": eventId };
+  if (signature !== null) {
+    headers["X-Razorpay-Signature"] = signature || sign(body);
+  }
+  const response = await fetch(`${API_URL}/webhooks/payments/razorpay`, { method: "POST", headers, body });
+  return { status: response.status, body: await response.json().catch(() => null), eventId };
+};
+
+const capturedEvent = (providerPaymentId, amount) => ({
+  event: "payment.captured",
+  payload: { payment: { entity: { id: `pay_${runId}`, order_id: providerPaymentId, amount: Math.round(amount * 100) } } }
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const run = async () => {
+  if (!SECRET) {
+    console.error("RAZORPAY_WEBHOOK_SECRET must be set (to the same value as the server's)");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const db = mongoose.connection.db;
+  const products = db.collection("products");
+  const orders = db.collection("orders");
+  const payments = db.collection("payments");
+  const webhookEvents = db.collection("webhookevents");
+
+  const SKU = `CHECK-${runId}`;
+  const userId = new mongoose.Types.ObjectId();
+  const now = new Date();
+
+  // A variant with 5 left after two test orders reserved 2 each
+  const { insertedId: productId } = await products.insertOne({
+    productId: `CHECK-${runId}`,
+    productName: "Payment check product",
+    category: "Test",
+    description: "Created by scripts/check-payments.js",
+    variants: [{ SKU, dealerPrice: 50, MRP: 100, imageUrl: "https://example.com/check.png", stockQuantity: 5, inStock: true }],
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const newOrder = (paymentExpiresAt) => ({
+    userId,
+    items: [{ productId, SKU, productName: "Payment check product", quantity: 2, price: 100 }],
+    totalPrice: 200,
+    status: "pending",
+    statusHistory: [{ status: "pending", at: now }],
+    paymentStatus: "unpaid",
+    paymentExpiresAt,
+    orderDate: now
+  });
+  const { insertedId: paidOrderId } = await orders.insertOne(newOrder(new Date(Date.now() + 60 * 60 * 1000)));
+  const { insertedId: expiringOrderId } = await orders.insertOne(newOrder(new Date(Date.now() - 60 * 1000)));
+
+  const payment = (orderId, providerPaymentId) => ({
+    orderId, userId, provider: "razorpay", providerPaymentId, amount: 200, currency: "INR", status: "created", createdAt: now, updatedAt: now
+  });
+  await payments.insertMany([
+    payment(paidOrderId, `order_${runId}_paid`),
+    payment(expiringOrderId, `order_${runId}_expiring`)
+  ]);
+
+  try {
+    // Signature rejection
+    const event = capturedEvent(`order_${runId}_paid`, 200);
+    let result = await sendWebhook(event, { signature: null });
+    check("webhook without signature is rejected with 401", result.status === 401, result.status);
+    result = await sendWebhook(event, { signature: sign(JSON.stringify(event), `${SECRET}-wrong`) });
+    check("webhook signed with another secret is rejected with 401", result.status === 401, result.status);
+    result = await sendWebhook(event, { signature: sign(JSON.stringify(capturedEvent(`order_${runId}_paid`, 1))) });
+    check("webhook whose body was altered after signing is rejected with 401", result.status === 401, result.status);
+    result = await sendWebhook(event, { signature: "abc" });
+    check("webhook with a malformed signature is rejected with 401", result.status === 401, result.status);
+    let order = await orders.findOne({ _id: paidOrderId });
+    check("rejected webhooks leave the order unpaid", order.paymentStatus === "unpaid", order.paymentStatus);
+
+    // Amount mismatch is not treated as payment
+    result = await sendWebhook(capturedEvent(`order_${runId}_paid`, 150));
+    order = await orders.findOne({ _id: paidOrderId });
+    check("capture for the wrong amount is accepted but doesn't pay the order",
+      result.status === 200 && order.paymentStatus === "unpaid", `${result.status}, ${order.paymentStatus}`);
+
+    // Valid capture, then a replay of the same event
+    result = await sendWebhook(event);
+    order = await orders.findOne({ _id: paidOrderId });
+    check("signed capture marks the order paid and processing",
+      result.status === 200 && order.paymentStatus === "paid" && order.status === "processing",
+      `${result.status}, ${order.paymentStatus}, ${order.status}`);
+    const replay = await sendWebhook(event, { eventId: result.eventId });
+    check("replayed event is acknowledged as already processed",
+      replay.status === 200 && replay.body && replay.body.message === "Event already processed", replay.status);
+
+    // Expiry sweep
+    console.log(`… waiting up to ${Math.round(SWEEP_WAIT_MS / 1000)}s for the unpaid-order sweep`);
+    const deadline = Date.now() + SWEEP_WAIT_MS;
+    do {
+      await sleep(1000);
+      order = await orders.findOne({ _id: expiringOrderId });
+    } while (order.status !== "cancelled" && Date.now() < deadline);
+    check("expired unpaid order is cancelled", order.status === "cancelled", order.status);
+    const product = await products.findOne({ _id: productId });
+    check("its stock is released", product.variants[0].stockQuantity === 7, product.variants[0].stockQuantity);
+    const expiredPayment = await payments.findOne({ orderId: expiringOrderId });
+    check("its payment intent is marked expired", expiredPayment.status === "expired", expiredPayment.status);
+    order = await orders.findOne({ _id: paidOrderId });
+    check("the paid order is left alone by the sweep", order.status === "processing", order.status);
+  } finally {
+    await Promise.all([
+      products.deleteOne({ _id: productId }),
+      orders.deleteMany({ _id: { $in: [paidOrderId, expiringOrderId] } }),
+      payments.deleteMany({ orderId: { $in: [paidOrderId, expiringOrderId] } }),
+      webhookEvents.deleteMany({ eventId: new RegExp(`^evt_${runId}_`) })
+    ]);
+    await mongoose.disconnect();
+  }
+
+  console.log(failures ? `❌ ${failures} check(s) failed` : "✅ All payment checks passed");
+  process.exit(failures ? 1 : 0);
+};
+
+run().catch(err => {
+  console.error("❌ Payment check failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// One-off migration: convert free-text orders.shippingAddress strings into
+// the structured address object. The old text is kept in line1 so nothing is
+// lost; the other fields stay empty because they can't be parsed reliably,
+// and the address is flagged legacy so code (and the schema) can tell.
+//
+// Usage: node scripts/migrate-order-addresses.js [--dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const orders = mongoose.connection.db.collection("orders");
+
+  // Addresses converted by an earlier run of this script have only line1
+  const unflagged = {
+    "shippingAddress.line1": { $exists: true },
+    "shippingAddress.name": { $exists: false },
+    "shippingAddress.legacy": { $exists: false }
+  };
+  const flagged = dryRun
+    ? { modifiedCount: await orders.countDocuments(unflagged) }
+    : await orders.updateMany(unflagged, { $set: { "shippingAddress.legacy": true } });
+  console.log(`orders: ${flagged.modifiedCount} earlier-migrated address(es) ${dryRun ? "would be " : ""}flagged legacy`);
+
+  const cursor = orders.find({ shippingAddress: { $type: "string" } });
+  let updated = 0;
+
+  for await (const order of cursor) {
+    updated++;
+    if (!dryRun) {
+      await orders.updateOne(
+        { _id: order._id },
+        { $set: { shippingAddress: { line1: order.shippingAddress, legacy: true } } }
+      );
+    }
+  }
+
+  console.log(`orders: ${updated} document(s) ${dryRun ? "would be " : ""}updated`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
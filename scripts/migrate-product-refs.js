@@ -0,0 +1,72 @@
+// One-off migration: rewrite cart, wishlist and order line items so that
+// items.productId always holds the product's Mongo _id (ObjectId).
+//
+// Older documents may hold the custom Product.productId string, or an _id
+// stored as a plain string. Lines that match no product are left untouched
+// and reported.
+//
+// Usage: node scripts/migrate-product-refs.js [--dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const db = mongoose.connection.db;
+
+  // Build lookup tables for both ID forms
+  const products = await db.collection("products").find({}, { projection: { _id: 1, productId: 1 } }).toArray();
+  const byObjectId = new Map(products.map(p => [p._id.toString(), p._id]));
+  const byProductId = new Map(products.map(p => [p.productId, p._id]));
+
+  const resolve = (value) => {
+    if (value instanceof mongoose.Types.ObjectId) {
+      return byObjectId.get(value.toString()) || null;
+    }
+    if (typeof value === "string") {
+      return byObjectId.get(value) || byProductId.get(value) || null;
+    }
+    return null;
+  };
+
+  for (const name of ["carts", "wishlists", "orders"]) {
+    const collection = db.collection(name);
+    const cursor = collection.find({ "items.0": { $exists: true } });
+    let updated = 0;
+    let unresolved = 0;
+
+    for await (const doc of cursor) {
+      let changed = false;
+      const items = doc.items.map(item => {
+        const canonical = resolve(item.productId);
+        if (!canonical) {
+          unresolved++;
+          console.warn(`⚠️  ${name} ${doc._id}: no product for ${item.productId}`);
+          return item;
+        }
+        if (!(item.productId instanceof mongoose.Types.ObjectId) || !canonical.equals(item.productId)) {
+          changed = true;
+          return { ...item, productId: canonical };
+        }
+        return item;
+      });
+
+      if (changed) {
+        updated++;
+        if (!dryRun) {
+          await collection.updateOne({ _id: doc._id }, { $set: { items } });
+        }
+      }
+    }
+
+    console.log(`${name}: ${updated} document(s) ${dryRun ? "would be " : ""}updated, ${unresolved} unresolved line(s)`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
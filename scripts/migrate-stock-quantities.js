@@ -0,0 +1,53 @@
+// One-off migration: give every product variant a stockQuantity. Variants
+// created before stock tracking have none, so reserveStock can never reserve
+// them and the next save of the product would mark them out of stock.
+//
+// Variants marked out of stock get 0; the others get the quantity passed with
+// --quantity, to be corrected with real counts through the admin variant
+// routes afterwards. Variants that already have a stockQuantity are untouched.
+//
+// Usage: node scripts/migrate-stock-quantities.js --quantity=<n> [--dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const dryRun = process.argv.includes("--dry-run");
+const quantityArg = process.argv.find(arg => arg.startsWith("--quantity="));
+const quantity = quantityArg ? parseInt(quantityArg.split("=")[1]) : NaN;
+
+const run = async () => {
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    console.error("Usage: node scripts/migrate-stock-quantities.js --quantity=<n> [--dry-run]");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const products = mongoose.connection.db.collection("products");
+
+  const cursor = products.find({ variants: { $elemMatch: { stockQuantity: { $exists: false } } } });
+  let updatedProducts = 0;
+  let updatedVariants = 0;
+
+  for await (const product of cursor) {
+    const variants = product.variants.map(variant => {
+      if (variant.stockQuantity !== undefined && variant.stockQuantity !== null) {
+        return variant;
+      }
+      updatedVariants++;
+      const stockQuantity = variant.inStock === false ? 0 : quantity;
+      return { ...variant, stockQuantity, inStock: stockQuantity > 0 };
+    });
+
+    updatedProducts++;
+    if (!dryRun) {
+      await products.updateOne({ _id: product._id }, { $set: { variants } });
+    }
+  }
+
+  console.log(`products: ${updatedProducts} document(s), ${updatedVariants} variant(s) ${dryRun ? "would be " : ""}updated`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
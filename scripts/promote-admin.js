@@ -0,0 +1,47 @@
+// Bootstrap: promote an existing user to admin.
+//
+// Refuses to run once an admin exists so it can't be used to escalate later;
+// pass --force to override (e.g. to recover a lost admin account).
+//
+// Usage: node scripts/promote-admin.js <email> [--force]
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const email = process.argv.slice(2).find(arg => !arg.startsWith("--"));
+const force = process.argv.includes("--force");
+
+const run = async () => {
+  if (!email) {
+    console.error("Usage: node scripts/promote-admin.js <email> [--force]");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const users = mongoose.connection.db.collection("users");
+
+  const existingAdmin = await users.findOne({ role: "admin" });
+  if (existingAdmin && !force) {
+    console.error(`❌ An admin already exists (${existingAdmin.email}). Use --force to promote another user.`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  const result = await users.updateOne(
+    { email: email.trim().toLowerCase() },
+    { $set: { role: "admin" } }
+  );
+
+  if (result.matchedCount === 0) {
+    console.error(`❌ No user found with email ${email}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  console.log(`✅ ${email} is now an admin. The role applies from their next token refresh or login.`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error("❌ Promotion failed:", err);
+  process.exit(1);
+});
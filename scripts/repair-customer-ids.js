@@ -0,0 +1,86 @@
+// Repair customer IDs (users.userId) issued by the old "highest ID + 1" logic
+// in /register: give every duplicate and missing ID a fresh EGM-CUST-<n>, seed
+// the "customer" counter past the highest number in use, and add the unique
+// index on userId. The oldest account keeps a duplicated ID; later ones are
+// renumbered and listed so support can tell the affected customers.
+//
+// Safe to re-run: with nothing to repair it only re-seeds the counter.
+//
+// Usage: node scripts/repair-customer-ids.js [--dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const PREFIX = "EGM-CUST-";
+const START = 10001;
+
+const dryRun = process.argv.includes("--dry-run");
+
+const idNumber = (userId) => {
+  const match = typeof userId === "string" && userId.match(/^EGM-CUST-(\d+)$/);
+  return match ? parseInt(match[1]) : null;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const db = mongoose.connection.db;
+  const users = db.collection("users");
+  const counters = db.collection("counters");
+
+  const all = await users
+    .find({}, { projection: { userId: 1, email: 1 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  // Highest number in use, compared numerically (the string sort is what broke)
+  const counter = await counters.findOne({ _id: "customer" });
+  let last = all.reduce(
+    (max, user) => Math.max(max, idNumber(user.userId) || 0),
+    Math.max(START - 1, counter ? counter.seq : 0)
+  );
+
+  const seen = new Set();
+  const renumbered = [];
+
+  for (const user of all) {
+    if (user.userId && !seen.has(user.userId)) {
+      seen.add(user.userId);
+      continue;
+    }
+
+    const newUserId = `${PREFIX}${++last}`;
+    renumbered.push({ email: user.email, from: user.userId || "(none)", to: newUserId });
+    if (!dryRun) {
+      await users.updateOne({ _id: user._id }, { $set: { userId: newUserId } });
+    }
+  }
+
+  renumbered.forEach(({ email, from, to }) => console.log(`  ${email}: ${from} -> ${to}`));
+  console.log(`users: ${renumbered.length} customer ID(s) ${dryRun ? "would be " : ""}reassigned`);
+
+  if (dryRun) {
+    console.log(`counters: customer would be set to ${last}`);
+    await mongoose.disconnect();
+    return;
+  }
+
+  await counters.updateOne({ _id: "customer" }, { $max: { seq: last } }, { upsert: true });
+  console.log(`counters: customer set to ${last}`);
+
+  // Replace a plain userId index, if any, with the unique one
+  const indexes = await users.indexes();
+  const existing = indexes.find(index => index.name === "userId_1");
+  if (existing && !existing.unique) {
+    await users.dropIndex("userId_1");
+  }
+  if (!existing || !existing.unique) {
+    await users.createIndex({ userId: 1 }, { unique: true });
+    console.log("users: unique index on userId created");
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error("❌ Repair failed:", err);
+  process.exit(1);
+});
@@ -5,18 +5,33 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const cors = require("cors");
 const bodyParser = require("body-parser");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
 
 // Initialize Express app
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind a load balancer/proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw bytes so payment webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.json());
 app.use(cors({
   origin: '*', // In production, replace with your Flutter app's domain
-  methods: ['GET', 'POST', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // MongoDB Connection
@@ -32,11 +47,92 @@ mongoose.connect(mongoURI, {
 
 // ===== SCHEMAS & MODELS =====
 
+// Guest carts expire after this many days without changes
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 7;
+
+// Address fields shared by the user's address book and order snapshots
+const addressFields = {
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  line2: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      // Indian PIN codes are six digits and never start with 0
+      validator: function (value) {
+        return this.country !== 'IN' || /^[1-9][0-9]{5}$/.test(value);
+      },
+      message: 'Invalid postal code'
+    }
+  },
+  country: {
+    type: String,
+    default: 'IN',
+    uppercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^\+?[0-9]{10,15}$/, 'Invalid phone number']
+  }
+};
+
+const addressSchema = new mongoose.Schema({
+  ...addressFields,
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Copy of the address as it was when the order was placed. Orders from
+// before structured addresses only have line1 and are flagged legacy (see
+// scripts/migrate-order-addresses.js), so the other fields are optional there.
+const legacyOptional = function () {
+  return !this.legacy;
+};
+
+const orderAddressSchema = new mongoose.Schema({
+  ...Object.fromEntries(Object.entries(addressFields).map(([name, field]) => [
+    name,
+    field.required && name !== 'line1' ? { ...field, required: legacyOptional } : field
+  ])),
+  legacy: {
+    type: Boolean
+  }
+}, { _id: false });
+
 // User Schema & Model
 const userSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true,
+    unique: true
   },
   username: {
     type: String,
@@ -53,10 +149,44 @@ const userSchema = new mongoose.Schema({
   mobile: { 
     type: String 
   },
+  // Set by confirming an OTP; mobileVerified resets when the number changes
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  mobileVerified: {
+    type: Boolean,
+    default: false
+  },
   password: {
     type: String,
     required: true
   },
+  role: {
+    type: String,
+    enum: ['customer', 'staff', 'admin'],
+    default: 'customer'
+  },
+  addresses: [addressSchema],
+  // Opt-outs per notification type, and for email copies of notifications
+  notificationPreferences: {
+    priceDrop: {
+      type: Boolean,
+      default: true
+    },
+    backInStock: {
+      type: Boolean,
+      default: true
+    },
+    cartReminders: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: true
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -116,25 +246,75 @@ const productSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      // Variants from before stock tracking need scripts/migrate-stock-quantities.js
+      stockQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Shipping weight of one unit
+      weightGrams: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Derived from stockQuantity; kept as a field so it can be queried
       inStock: {
         type: Boolean,
         default: true
       }
     }
-  ]
+  ],
+  // Aggregates of published reviews, kept up to date by refreshProductRating
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Full-text search for GET /products
+productSchema.index({ productName: 'text', description: 'text' });
+
+productSchema.pre('save', function (next) {
+  this.variants.forEach(variant => {
+    variant.inStock = variant.stockQuantity > 0;
+  });
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
 });
+
 // Cart Schema & Model
+// A cart belongs either to a user or to a guest holding an opaque cart token
 const cartSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  guestTokenHash: {
+    type: String,
+    unique: true,
+    sparse: true
   },
   items: [{
     productId: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
     },
+    SKU: {
+      type: String
+    },
+    productName: {
+      type: String
+    },
+    imageUrl: {
+      type: String
+    },
     quantity: {
       type: Number,
       default: 1,
@@ -148,6 +328,50 @@ const cartSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
+  },
+  // Coupon applied via /cart/apply-coupon; re-validated at checkout
+  couponCode: {
+    type: String
+  },
+  // Abandoned-cart reminders sent since the cart last changed (see remindAbandonedCarts)
+  reminderCount: {
+    type: Number,
+    default: 0
+  },
+  lastReminderAt: {
+    type: Date
+  },
+  // Set when the owner had ordered since the cart's last change; no reminders
+  // until it changes again
+  remindersSkippedAt: {
+    type: Date
+  },
+  // Guest carts only: removed by the TTL index after a period of inactivity
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  }
+});
+
+cartSchema.pre('validate', function (next) {
+  if (!this.userId && !this.guestTokenHash) {
+    this.invalidate('userId', 'A cart needs a userId or a guest token');
+  }
+  next();
+});
+
+// Every save of a guest cart pushes its expiry back
+cartSchema.pre('save', function (next) {
+  if (!this.userId) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+cartSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.guestTokenHash;
+    return ret;
   }
 });
 
@@ -163,6 +387,19 @@ const wishlistSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
     },
+    SKU: {
+      type: String
+    },
+    productName: {
+      type: String
+    },
+    imageUrl: {
+      type: String
+    },
+    // Variant price when added; price-drop notifications compare against it
+    price: {
+      type: Number
+    },
     addedAt: {
       type: Date,
       default: Date.now
@@ -170,8 +407,64 @@ const wishlistSchema = new mongoose.Schema({
   }]
 });
 
+// Notification Schema & Model
+// In-app inbox. dedupeKey is unique per user, so the same event is never
+// delivered twice.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['price_drop', 'back_in_stock', 'abandoned_cart'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String
+  },
+  data: {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    cartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart'
+    },
+    SKU: String,
+    previousPrice: Number,
+    price: Number
+  },
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  readAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ userId: 1, dedupeKey: 1 }, { unique: true });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
 // Order Schema & Model
 const orderSchema = new mongoose.Schema({
+  // Human-readable EGM-ORD-<n>; orders placed before numbering have none
+  orderNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -182,6 +475,15 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
     },
+    SKU: {
+      type: String
+    },
+    productName: {
+      type: String
+    },
+    imageUrl: {
+      type: String
+    },
     quantity: {
       type: Number,
       required: true
@@ -189,8 +491,60 @@ const orderSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    // Share of order discounts, and the GST on what remains
+    discount: {
+      type: Number,
+      default: 0
+    },
+    taxableValue: {
+      type: Number
+    },
+    taxRate: {
+      type: Number
+    },
+    tax: {
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      total: Number
     }
   }],
+  subtotal: {
+    type: Number
+  },
+  couponCode: {
+    type: String
+  },
+  // Discounts applied at purchase time
+  discounts: [{
+    code: String,
+    type: {
+      type: String
+    },
+    description: String,
+    amount: Number,
+    freeShipping: Boolean
+  }],
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number
+  },
+  // Whether item prices already include the tax above
+  pricesIncludeTax: {
+    type: Boolean
+  },
+  shipping: {
+    weightGrams: Number,
+    charge: Number,
+    free: Boolean
+  },
   totalPrice: {
     type: Number,
     required: true
@@ -200,673 +554,6375 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // Every status change, oldest first
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: {
+      type: String
+    },
+    note: {
+      type: String
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set to 'unpaid' when the order is placed; legacy orders have no value.
+  // Refund states are derived from refundedTotal against totalPrice.
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'paid', 'partially_refunded', 'refunded']
+  },
+  // Refund ledger
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    returnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    providerRefundId: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Sum of pending and succeeded refunds
+  refundedTotal: {
+    type: Number,
+    default: 0
+  },
+  // Unpaid orders are cancelled and their stock released after this time
+  paymentExpiresAt: {
+    type: Date
+  },
   orderDate: { 
     type: Date, 
     default: Date.now 
   },
   shippingAddress: {
-    type: String
+    type: orderAddressSchema
+  },
+  // Defaults to the shipping address
+  billingAddress: {
+    type: orderAddressSchema
   }
 });
 
-// Initialize models
-const User = mongoose.model("User", userSchema);
-const Product = mongoose.model("Product", productSchema);
-const Cart = mongoose.model("Cart", cartSchema);
-const Wishlist = mongoose.model("Wishlist", wishlistSchema);
-const Order = mongoose.model("Order", orderSchema);
-
-// ===== MIDDLEWARE =====
-
-// JWT Secret Key
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Middleware to verify JWT
-const verifyToken = (req, res, next) => {
-  try {
-    const token = req.header("Authorization")?.replace("Bearer ", "") || req.header("Authorization");
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "Access denied. No token provided." 
-      });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ 
-      success: false, 
-      message: "Invalid token." 
-    });
-  }
-};
-
-// ===== ROUTES =====
+// Invoice Schema & Model
+// A snapshot issued once per order when it ships; later edits to the order,
+// products or seller details don't change an issued invoice.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: {
+    type: String
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderDate: {
+    type: Date
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String
+  },
+  seller: {
+    name: String,
+    address: String,
+    state: String,
+    gstin: String
+  },
+  billingAddress: {
+    type: orderAddressSchema
+  },
+  shippingAddress: {
+    type: orderAddressSchema
+  },
+  items: [{
+    SKU: String,
+    productName: String,
+    quantity: Number,
+    price: Number,
+    discount: Number,
+    taxableValue: Number,
+    taxRate: Number,
+    tax: {
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      total: Number
+    },
+    amount: Number
+  }],
+  subtotal: Number,
+  discountTotal: Number,
+  tax: {
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number
+  },
+  pricesIncludeTax: Boolean,
+  shippingCharge: Number,
+  totalPrice: Number
+});
 
-// Health Check Endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK',
-    timestamp: new Date(),
+// Coupon Schema & Model
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'buy_x_get_y', 'free_shipping'],
+    required: true
+  },
+  // Percent off for 'percentage', amount off for 'fixed'
+  value: {
+    type: Number,
+    min: 0
+  },
+  // Upper bound on a percentage discount
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // 'buy_x_get_y': for every buyQuantity + getQuantity units of a line, getQuantity are free
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Restrictions; empty means every line is eligible
+  categories: [String],
+  SKUs: [String],
+  usageLimit: {
+    type: Number,
+    min: 0
+  },
+  perUserLimit: {
+    type: Number,
+    min: 0
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponSchema.pre('validate', function (next) {
+  if ((this.type === 'percentage' || this.type === 'fixed') && this.value === undefined) {
+    this.invalidate('value', `value is required for ${this.type} coupons`);
+  }
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'percentage cannot exceed 100');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'buyQuantity and getQuantity are required for buy_x_get_y coupons');
+  }
+  next();
+});
+
+couponSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+// Per-user redemption counter, one document per coupon and user
+const couponUsageSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+couponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+// Payment Schema & Model
+// One document per payment attempt (intent) with a provider
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's ID for the intent/order, used to match webhooks
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  // The provider's ID for the captured charge, needed for refunds
+  providerChargeId: {
+    type: String
+  },
+  // What the app needs to complete checkout (see createPayment), returned
+  // again when payment for the order is resumed
+  clientData: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Set when an unmatched capture is refunded (see refundUnmatchedPayment)
+  providerRefundId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // unmatched: captured for an order that was no longer pending (expired, or
+  // paid through another payment); refunded automatically, or by hand if that fails
+  status: {
+    type: String,
+    enum: ['created', 'captured', 'failed', 'expired', 'unmatched', 'refunded'],
+    default: 'created'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+
+// Return Request Schema & Model
+const returnRequestSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    SKU: {
+      type: String,
+      required: true
+    },
+    productName: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // What the customer paid for these units
+    refundAmount: {
+      type: Number,
+      required: true
+    }
+  }],
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  history: [{
+    status: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: String,
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Review Schema & Model
+// One per user and product, from a customer who has received the product
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shown instead of the user's current name so reviews don't change with profiles
+  username: {
+    type: String
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    trim: true
+  },
+  imageUrls: [{
+    type: String
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  // Hidden reviews are left out of listings and rating aggregates
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  reports: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  moderation: {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+
+// Helpful votes, one per user and review
+const reviewVoteSchema = new mongoose.Schema({
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewVoteSchema.index({ reviewId: 1, userId: 1 }, { unique: true });
+
+// Webhook events already processed, so provider retries are no-ops
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Idempotency Key Schema & Model
+// Stored responses for requests sent with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  // Who sent the key: a user, a guest cart or an IP address
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // Hash of method, path and body, to detect a key reused for another request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // Lease on an in_progress key; once it lapses (e.g. the instance died
+  // mid-request) a retry may take the key over
+  lockedUntil: {
+    type: Date
+  },
+  statusCode: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Failed /login attempts per email address, whether or not an account exists,
+// so a lockout doesn't reveal which emails are registered
+const loginLockoutSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // The streak is forgotten a day after the last failure
+  lastFailedAt: {
+    type: Date,
+    index: { expires: '1d' }
+  }
+});
+
+// Rate limit counters for the shared (Mongo) rate limit store
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+});
+
+// Last number issued per named sequence (see nextSequenceId)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    required: true
+  }
+});
+
+// Scheduler leader lease: only the instance holding it runs jobs
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+// One document per scheduled job run
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  instance: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Job-specific counts
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  // Documents the run acted on, e.g. { cartId, userId, action }
+  touched: [{
+    _id: false,
+    cartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart'
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    action: String
+  }],
+  // Removed by the TTL index
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Session Schema & Model
+// One document per login. The refresh token rotates on every use; all tokens
+// issued for the same session form one family and are revoked together.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means
+  // the token leaked, so the whole session is revoked
+  rotatedTokenHashes: [String],
+  device: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Mongo TTL index removes expired sessions
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+});
+
+// Password Reset Schema & Model
+// Only a hash of the emailed token is stored; each token works once
+const passwordResetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  usedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One-time codes confirming a user's email or mobile number. The code is
+// bound to the address it was sent to, so changing the number voids it.
+const verificationCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'mobile'],
+    required: true
+  },
+  target: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+});
+
+// Only the latest code per user and channel
+verificationCodeSchema.index({ userId: 1, channel: 1 }, { unique: true });
+
+// Initialize models
+const User = mongoose.model("User", userSchema);
+const Product = mongoose.model("Product", productSchema);
+const Cart = mongoose.model("Cart", cartSchema);
+const Wishlist = mongoose.model("Wishlist", wishlistSchema);
+const Order = mongoose.model("Order", orderSchema);
+const Session = mongoose.model("Session", sessionSchema);
+const Coupon = mongoose.model("Coupon", couponSchema);
+const CouponUsage = mongoose.model("CouponUsage", couponUsageSchema);
+const Payment = mongoose.model("Payment", paymentSchema);
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema);
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+const RateLimitCounter = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
+const LoginLockout = mongoose.model("LoginLockout", loginLockoutSchema);
+const Counter = mongoose.model("Counter", counterSchema);
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+const Review = mongoose.model("Review", reviewSchema);
+const ReviewVote = mongoose.model("ReviewVote", reviewVoteSchema);
+const Notification = mongoose.model("Notification", notificationSchema);
+const JobLock = mongoose.model("JobLock", jobLockSchema);
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+const PasswordReset = mongoose.model("PasswordReset", passwordResetSchema);
+const VerificationCode = mongoose.model("VerificationCode", verificationCodeSchema);
+
+// ===== ERRORS =====
+
+// Thrown by helpers that need to abort a request (e.g. inside a transaction)
+// with a specific status code and client-facing message
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Error codes for Mongoose validator kinds, matching the ones validate() uses
+const MONGOOSE_ERROR_CODES = {
+  required: 'required',
+  min: 'too_small',
+  max: 'too_large',
+  minlength: 'too_short',
+  maxlength: 'too_long',
+  enum: 'invalid_choice',
+  regexp: 'invalid_format'
+};
+
+// "variants.0.MRP" -> "body.variants[0].MRP", the field naming validate() uses
+const bodyFieldPath = (path) => `body.${path.replace(/\.(\d+)(?=\.|$)/g, '[$1]')}`;
+
+// For routes whose body is a single array entry: "addresses.3.postalCode" -> "body.postalCode"
+const subdocumentFieldPath = (arrayPath) => (path) =>
+  bodyFieldPath(path.startsWith(`${arrayPath}.`) ? path.slice(arrayPath.length + 1).replace(/^\d+\./, '') : path);
+
+// Respond to a failed save with the same error envelope as validate():
+// schema validation and duplicate keys are the client's fault. fieldPath maps
+// a document path to the request field it came from.
+const handleSaveError = (res, err, fallbackMessage, fieldPath = bodyFieldPath) => {
+  if (err.name === 'ValidationError') {
+    return sendValidationErrors(res, Object.entries(err.errors).map(([path, error]) => ({
+      field: fieldPath(path),
+      code: error.name === 'CastError' ? 'invalid_type' : MONGOOSE_ERROR_CODES[error.kind] || 'invalid',
+      message: error.message
+    })));
+  }
+  if (err.name === 'CastError') {
+    return sendValidationErrors(res, [{ field: fieldPath(err.path), code: 'invalid_type', message: err.message }]);
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    return sendValidationErrors(res, (fields.length ? fields : ['unknown']).map(field => ({
+      field: fieldPath(field),
+      code: 'duplicate',
+      message: `Duplicate value for ${field}`
+    })), 409);
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// ===== VALIDATION =====
+
+// Declarative request validation. A route schema maps body/params/query to
+// { field: rule }, where a rule supports:
+//   type: 'string' | 'number' | 'integer' | 'boolean' | 'objectId' | 'array' | 'object'
+//   required, enum, min/max (numbers), minLength/maxLength (strings and arrays),
+//   format: 'email' | 'mobile' | 'password' | 'otp' | 'url' | 'date', items (rule for array elements),
+//   fields (rules for object keys)
+// Query and params values arrive as strings and are converted for number and
+// integer rules. Every error has a stable code the app can localise.
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MOBILE_PATTERN = /^\+?[0-9]{10,15}$/;
+
+const VALIDATION_FORMATS = {
+  email: { test: value => EMAIL_PATTERN.test(value), code: 'invalid_email', message: 'must be a valid email address' },
+  mobile: { test: value => MOBILE_PATTERN.test(value), code: 'invalid_mobile', message: 'must be a valid mobile number' },
+  otp: { test: value => /^[0-9]{6}$/.test(value), code: 'invalid_code', message: 'must be a 6-digit code' },
+  url: { test: value => /^https?:\/\/\S+$/.test(value), code: 'invalid_url', message: 'must be an http(s) URL' },
+  date: { test: value => !Number.isNaN(Date.parse(value)), code: 'invalid_date', message: 'must be a date' },
+  password: {
+    test: value => value.length >= MIN_PASSWORD_LENGTH && /[A-Za-z]/.test(value) && /[0-9]/.test(value),
+    code: 'weak_password',
+    message: `must be at least ${MIN_PASSWORD_LENGTH} characters and contain a letter and a number`
+  }
+};
+
+const isObjectIdString = (value) => typeof value === 'string' && /^[a-f\d]{24}$/i.test(value);
+
+// Check one value against a rule, pushing { field, code, message } errors.
+// Returns the (possibly converted) value.
+const validateValue = (value, rule, field, errors, fromString) => {
+  const fail = (code, message) => {
+    errors.push({ field, code, message: `${field} ${message}` });
+    return value;
+  };
+
+  if (value === undefined || value === null || value === '') {
+    return rule.required ? fail('required', 'is required') : value;
+  }
+
+  if (fromString && (rule.type === 'number' || rule.type === 'integer') && typeof value === 'string') {
+    value = Number(value);
+  }
+  if (fromString && rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    value = value === 'true';
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('invalid_type', 'must be a string');
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('invalid_type', 'must be a number');
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return fail('invalid_type', 'must be a whole number');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('invalid_type', 'must be true or false');
+      break;
+    case 'objectId':
+      if (!isObjectIdString(value)) return fail('invalid_id', 'must be a valid ID');
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('invalid_type', 'must be a list');
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('invalid_type', 'must be an object');
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail('invalid_choice', `must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return fail('too_small', `must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return fail('too_large', `must be at most ${rule.max}`);
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return fail('too_short', `must have at least ${rule.minLength} ${rule.type === 'array' ? 'items' : 'characters'}`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fail('too_long', `must have at most ${rule.maxLength} ${rule.type === 'array' ? 'items' : 'characters'}`);
+  }
+  if (rule.format) {
+    const format = VALIDATION_FORMATS[rule.format];
+    if (!format.test(value)) return fail(format.code, format.message);
+  }
+
+  if (rule.items) {
+    value.forEach((item, index) => validateValue(item, rule.items, `${field}[${index}]`, errors, fromString));
+  }
+  if (rule.fields) {
+    validateFields(value, rule.fields, field, errors, fromString);
+  }
+  return value;
+};
+
+const validateFields = (source, fields, prefix, errors, fromString) => {
+  Object.entries(fields).forEach(([name, rule]) => {
+    const value = validateValue(source[name], rule, `${prefix}.${name}`, errors, fromString);
+    if (value !== undefined && fromString) {
+      source[name] = value;
+    }
+  });
+};
+
+// Middleware: validate req.body, req.params and req.query against a schema.
+// Missing or mistyped fields give 400; values that are well-formed but not
+// acceptable (format, range, choice) give 422.
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  if (schema.body) {
+    validateFields(req.body || {}, schema.body, 'body', errors, false);
+  }
+  if (schema.params) {
+    validateFields(req.params, schema.params, 'params', errors, true);
+  }
+  if (schema.query) {
+    validateFields(req.query, schema.query, 'query', errors, true);
+  }
+
+  if (!errors.length) {
+    return next();
+  }
+  sendValidationErrors(res, errors);
+};
+
+// Respond with field-level errors. Without an explicit status, missing or
+// mistyped fields give 400 and anything else 422.
+const sendValidationErrors = (res, errors, status) => {
+  const structural = errors.some(error => ['required', 'invalid_type', 'invalid_id'].includes(error.code));
+  res.status(status || (structural ? 400 : 422)).json({
+    success: false,
+    message: errors[0].message,
+    code: 'validation_failed',
+    errors
+  });
+};
+
+// The same rules with nothing required, for partial updates
+const optionalFields = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([name, rule]) => [name, { ...rule, required: false }])
+);
+
+// Rules shared by several routes
+const rules = {
+  objectId: { type: 'objectId', required: true },
+  // Either a product's _id or its custom productId
+  productRef: { type: 'string', required: true, maxLength: 100 },
+  SKU: { type: 'string', required: true, maxLength: 64 },
+  quantity: { type: 'integer', required: true, min: 1, max: 100 },
+  password: { type: 'string', required: true, format: 'password' },
+  address: {
+    type: 'object',
+    fields: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      line1: { type: 'string', required: true, maxLength: 200 },
+      line2: { type: 'string', maxLength: 200 },
+      city: { type: 'string', required: true, maxLength: 100 },
+      state: { type: 'string', required: true, maxLength: 100 },
+      postalCode: { type: 'string', required: true, maxLength: 12 },
+      country: { type: 'string', minLength: 2, maxLength: 2 },
+      phone: { type: 'string', required: true, format: 'mobile' }
+    }
+  }
+};
+
+// ===== PRICING =====
+
+// Unit price a customer pays for a variant: specialPrice when set, otherwise MRP
+const getVariantPrice = (variant) => {
+  return variant.specialPrice !== undefined && variant.specialPrice !== null
+    ? variant.specialPrice
+    : variant.MRP;
+};
+
+// Resolve requested { SKU, quantity } lines against the Product collection.
+// Returns { lines, totalPrice } or { error } when a line can't be priced.
+const priceLineItems = async (items) => {
+  for (const item of items) {
+    if (!item || !item.SKU) {
+      return { error: "Each item requires a SKU" };
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      return { error: `Invalid quantity for SKU ${item.SKU}` };
+    }
+  }
+
+  const skus = items.map(item => item.SKU);
+  const products = await Product.find({ 'variants.SKU': { $in: skus } });
+
+  const lines = [];
+  for (const item of items) {
+    const product = products.find(p => p.variants.some(v => v.SKU === item.SKU));
+    if (!product) {
+      return { error: `Unknown product variant: ${item.SKU}` };
+    }
+
+    const variant = product.variants.find(v => v.SKU === item.SKU);
+    if (!variant.inStock) {
+      return { error: `Product variant out of stock: ${item.SKU}` };
+    }
+
+    const unitPrice = getVariantPrice(variant);
+    lines.push({
+      product,
+      variant,
+      SKU: variant.SKU,
+      quantity: item.quantity,
+      MRP: variant.MRP,
+      specialPrice: variant.specialPrice,
+      unitPrice,
+      lineTotal: unitPrice * item.quantity
+    });
+  }
+
+  const totalPrice = lines.reduce((acc, line) => acc + line.lineTotal, 0);
+  return { lines, totalPrice };
+};
+
+// Products are referenced everywhere by their Mongo _id. Clients may still send
+// the human-readable Product.productId, so accept either and return the _id.
+const normalizeProductId = async (productId) => {
+  if (!productId) {
+    return null;
+  }
+
+  const query = /^[a-f\d]{24}$/i.test(productId)
+    ? { $or: [{ _id: productId }, { productId }] }
+    : { productId };
+  const product = await Product.findOne(query).select('_id');
+  return product ? product._id.toString() : null;
+};
+
+// Find the product and variant for a SKU, regardless of stock
+const findVariantBySKU = async (SKU) => {
+  const product = await Product.findOne({ 'variants.SKU': SKU });
+  if (!product) {
+    return null;
+  }
+  return { product, variant: product.variants.find(v => v.SKU === SKU) };
+};
+
+// Locate a cart/wishlist line by SKU, falling back to the first line for the product
+const findLineIndex = (items, { productId, SKU }) => {
+  if (SKU) {
+    return items.findIndex(item => item.SKU === SKU);
+  }
+  return items.findIndex(item => item.productId && item.productId.toString() === productId);
+};
+
+// Client-facing view of a priced line
+const formatPriceLine = (line) => ({
+  productId: line.product._id,
+  SKU: line.SKU,
+  productName: line.product.productName,
+  imageUrl: line.variant.imageUrl,
+  quantity: line.quantity,
+  MRP: line.MRP,
+  specialPrice: line.specialPrice,
+  unitPrice: line.unitPrice,
+  lineTotal: line.lineTotal
+});
+
+// ===== COUPONS =====
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Lines the coupon's category/SKU restrictions allow
+const couponEligibleLines = (coupon, lines) => lines.filter(line =>
+  (!coupon.categories.length || coupon.categories.includes(line.product.category)) &&
+  (!coupon.SKUs.length || coupon.SKUs.includes(line.SKU))
+);
+
+// Check a coupon code against priced lines and work out its discount.
+// Throws HttpError(400) with the reason when the coupon can't be used.
+const evaluateCoupon = async (code, lines, userId) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.active) {
+    throw new HttpError(400, "Invalid coupon code");
+  }
+
+  const now = new Date();
+  if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+    throw new HttpError(400, "This coupon is not valid at this time");
+  }
+  if (coupon.usageLimit != null && coupon.usageCount >= coupon.usageLimit) {
+    throw new HttpError(400, "This coupon has been fully redeemed");
+  }
+  if (userId && coupon.perUserLimit != null) {
+    const usage = await CouponUsage.findOne({ couponId: coupon._id, userId });
+    if (usage && usage.count >= coupon.perUserLimit) {
+      throw new HttpError(400, "You have already used this coupon");
+    }
+  }
+
+  const subtotal = lines.reduce((acc, line) => acc + line.lineTotal, 0);
+  if (subtotal < coupon.minCartValue) {
+    throw new HttpError(400, `Add items worth ${roundMoney(coupon.minCartValue - subtotal)} more to use this coupon`);
+  }
+
+  const eligible = couponEligibleLines(coupon, lines);
+  if (!eligible.length) {
+    throw new HttpError(400, "This coupon doesn't apply to any items in your cart");
+  }
+  const eligibleSubtotal = eligible.reduce((acc, line) => acc + line.lineTotal, 0);
+
+  let amount = 0;
+  switch (coupon.type) {
+    case 'percentage':
+      amount = eligibleSubtotal * coupon.value / 100;
+      if (coupon.maxDiscount != null) {
+        amount = Math.min(amount, coupon.maxDiscount);
+      }
+      break;
+    case 'fixed':
+      amount = Math.min(coupon.value, eligibleSubtotal);
+      break;
+    case 'buy_x_get_y': {
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      amount = eligible.reduce((acc, line) =>
+        acc + Math.floor(line.quantity / groupSize) * coupon.getQuantity * line.unitPrice, 0);
+      break;
+    }
+    case 'free_shipping':
+      // Applied to the shipping charge, not to the items
+      break;
+  }
+
+  return {
+    coupon,
+    eligibleLines: eligible,
+    discount: {
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description,
+      amount: roundMoney(amount),
+      freeShipping: coupon.type === 'free_shipping'
+    }
+  };
+};
+
+// Count a redemption inside the order transaction. Both counters are
+// incremented conditionally so concurrent checkouts can't oversell a coupon.
+const redeemCoupon = async (coupon, userId, session) => {
+  const globalLimit = coupon.usageLimit != null
+    ? { usageCount: { $lt: coupon.usageLimit } }
+    : {};
+  const claimed = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, active: true, ...globalLimit },
+    { $inc: { usageCount: 1 } },
+    { session }
+  );
+  if (!claimed) {
+    throw new HttpError(409, "This coupon has been fully redeemed");
+  }
+
+  const userLimit = coupon.perUserLimit != null
+    ? { count: { $lt: coupon.perUserLimit } }
+    : {};
+  try {
+    // When the user is at the limit the filter misses, the upsert collides with
+    // the existing document on the unique index and throws a duplicate key error
+    await CouponUsage.findOneAndUpdate(
+      { couponId: coupon._id, userId, ...userLimit },
+      { $inc: { count: 1 } },
+      { upsert: true, session }
+    );
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new HttpError(409, "You have already used this coupon");
+    }
+    throw err;
+  }
+};
+
+// Give a redemption back when its order is cancelled
+const releaseCoupon = async (order, session) => {
+  if (!order.couponCode) {
+    return;
+  }
+
+  const coupon = await Coupon.findOneAndUpdate(
+    { code: order.couponCode, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+  if (coupon) {
+    await CouponUsage.updateOne(
+      { couponId: coupon._id, userId: order.userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+};
+
+// ===== CHECKOUT =====
+
+// GST rate (percent) by product category; "default" covers the rest.
+// Override with TAX_RATES='{"Groceries":5,"default":18}'.
+const TAX_RATES = { default: 18, ...JSON.parse(process.env.TAX_RATES || "{}") };
+
+// Intra-state sales pay CGST + SGST, inter-state sales pay IGST
+const SELLER_STATE = process.env.SELLER_STATE || "Tamil Nadu";
+
+// MRP in India includes tax, so by default tax is the portion already in the price
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX !== "false";
+
+// Shipping: baseCharge covers up to baseWeightGrams, then extraChargePerKg for
+// each started kg. Orders at or above freeAbove (after discounts) ship free.
+// Override with SHIPPING_RULES='{"freeAbove":999}'.
+const SHIPPING_RULES = {
+  freeAbove: 499,
+  baseCharge: 40,
+  baseWeightGrams: 500,
+  extraChargePerKg: 20,
+  ...JSON.parse(process.env.SHIPPING_RULES || "{}")
+};
+
+const taxRateFor = (category) => TAX_RATES[category] !== undefined ? TAX_RATES[category] : TAX_RATES.default;
+
+const isIntraState = (address) =>
+  String(address.state || "").trim().toLowerCase() === SELLER_STATE.trim().toLowerCase();
+
+// Split GST for one amount into its CGST/SGST or IGST components
+const splitTax = (taxAmount, intraState) => {
+  const total = roundMoney(taxAmount);
+  if (intraState) {
+    const half = roundMoney(total / 2);
+    return { cgst: half, sgst: roundMoney(total - half), igst: 0, total };
+  }
+  return { cgst: 0, sgst: 0, igst: total, total };
+};
+
+const calculateShipping = (lines, valueAfterDiscounts, freeShipping) => {
+  const weightGrams = lines.reduce((acc, line) => acc + (line.variant.weightGrams || 0) * line.quantity, 0);
+
+  if (freeShipping || valueAfterDiscounts >= SHIPPING_RULES.freeAbove) {
+    return { weightGrams, charge: 0, free: true };
+  }
+
+  const extraKg = Math.ceil(Math.max(0, weightGrams - SHIPPING_RULES.baseWeightGrams) / 1000);
+  return {
+    weightGrams,
+    charge: roundMoney(SHIPPING_RULES.baseCharge + extraKg * SHIPPING_RULES.extraChargePerKg),
+    free: false
+  };
+};
+
+// Price items for an address: subtotal, coupon discounts, per-line GST,
+// shipping and grand total. The same breakdown is shown by the quote
+// endpoint and stored on the order.
+// Returns { lines, applied, quote }: lines are priced lines with discount and
+// tax attached, applied is the evaluated coupon (or null), quote is the
+// client-facing breakdown.
+const buildCheckoutQuote = async ({ items, address, couponCode, userId }) => {
+  const pricing = await priceLineItems(items);
+  if (pricing.error) {
+    throw new HttpError(400, pricing.error);
+  }
+  const { lines } = pricing;
+  const subtotal = roundMoney(pricing.totalPrice);
+
+  const applied = couponCode ? await evaluateCoupon(couponCode, lines, userId) : null;
+  const discounts = applied ? [applied.discount] : [];
+  const discountTotal = roundMoney(discounts.reduce((acc, discount) => acc + discount.amount, 0));
+
+  // Spread the discount over the lines it applies to, in proportion to their value
+  lines.forEach(line => { line.discount = 0; });
+  if (applied && applied.discount.amount > 0) {
+    const eligibleTotal = applied.eligibleLines.reduce((acc, line) => acc + line.lineTotal, 0);
+    let remaining = applied.discount.amount;
+    applied.eligibleLines.forEach((line, index) => {
+      const isLast = index === applied.eligibleLines.length - 1;
+      line.discount = isLast ? roundMoney(remaining) : roundMoney(applied.discount.amount * line.lineTotal / eligibleTotal);
+      remaining -= line.discount;
+    });
+  }
+
+  const intraState = isIntraState(address);
+  lines.forEach(line => {
+    const amount = line.lineTotal - line.discount;
+    line.taxRate = taxRateFor(line.product.category);
+    line.taxableValue = roundMoney(PRICES_INCLUDE_TAX ? amount * 100 / (100 + line.taxRate) : amount);
+    line.tax = splitTax(line.taxableValue * line.taxRate / 100, intraState);
+  });
+
+  const tax = ['cgst', 'sgst', 'igst', 'total'].reduce((acc, key) => {
+    acc[key] = roundMoney(lines.reduce((sum, line) => sum + line.tax[key], 0));
+    return acc;
+  }, {});
+
+  const valueAfterDiscounts = roundMoney(subtotal - discountTotal);
+  const shipping = calculateShipping(lines, valueAfterDiscounts, discounts.some(discount => discount.freeShipping));
+  const grandTotal = roundMoney(valueAfterDiscounts + (PRICES_INCLUDE_TAX ? 0 : tax.total) + shipping.charge);
+
+  return {
+    lines,
+    applied,
+    quote: {
+      lines: lines.map(line => ({
+        ...formatPriceLine(line),
+        discount: line.discount,
+        taxableValue: line.taxableValue,
+        taxRate: line.taxRate,
+        tax: line.tax
+      })),
+      subtotal,
+      discounts,
+      discountTotal,
+      tax,
+      pricesIncludeTax: PRICES_INCLUDE_TAX,
+      shipping,
+      grandTotal
+    }
+  };
+};
+
+// ===== INVENTORY =====
+
+// Atomically take stock for each priced line. Must run inside a transaction so
+// a failure on a later line rolls back the earlier decrements.
+const reserveStock = async (lines, session) => {
+  for (const line of lines) {
+    const result = await Product.updateOne(
+      {
+        _id: line.product._id,
+        variants: { $elemMatch: { SKU: line.SKU, stockQuantity: { $gte: line.quantity } } }
+      },
+      { $inc: { 'variants.$.stockQuantity': -line.quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new HttpError(409, `Insufficient stock for SKU ${line.SKU}`);
+    }
+
+    // Keep inStock in sync for variants that just sold out
+    await Product.updateOne(
+      { _id: line.product._id },
+      { $set: { 'variants.$[v].inStock': false } },
+      { arrayFilters: [{ 'v.SKU': line.SKU, 'v.stockQuantity': { $lte: 0 } }], session }
+    );
+  }
+};
+
+// Return stock for order items (e.g. on cancellation). Once the transaction
+// commits, wishlist users are told about variants that are back in stock.
+const releaseStock = async (items, session) => {
+  // Snapshots of products that had a released variant sold out, by _id
+  const soldOut = new Map();
+
+  for (const item of items) {
+    // Orders placed before SKUs were recorded can't be restocked
+    if (!item.SKU) {
+      continue;
+    }
+
+    // Returns the product as it was before the update
+    const product = await Product.findOneAndUpdate(
+      { 'variants.SKU': item.SKU },
+      {
+        $inc: { 'variants.$[v].stockQuantity': item.quantity },
+        $set: { 'variants.$[v].inStock': true }
+      },
+      { arrayFilters: [{ 'v.SKU': item.SKU }], session }
+    );
+    const variant = product && product.variants.find(v => v.SKU === item.SKU);
+    if (variant && !variant.inStock && !soldOut.has(product._id.toString())) {
+      soldOut.set(product._id.toString(), variantSnapshot(product));
+    }
+  }
+
+  if (soldOut.size) {
+    afterCommit(session, () => notifyRestocksInBackground(soldOut));
+  }
+};
+
+// ===== GUEST CART =====
+
+// Move a guest cart into the user's cart on login/register. Duplicate SKU
+// lines have their quantities summed; every line is capped at current stock,
+// and lines whose variant is gone or sold out are dropped. Returns a report
+// of { merged, dropped }, or null when there was no guest cart.
+const mergeGuestCart = async (userId, cartToken) => {
+  if (!cartToken) {
+    return null;
+  }
+
+  const guestCart = await Cart.findOne({
+    guestTokenHash: hashToken(cartToken),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!guestCart) {
+    return null;
+  }
+
+  const merged = [];
+  const dropped = [];
+
+  if (guestCart.items.length) {
+    const cart = await Cart.findOne({ userId }) || new Cart({ userId, items: [] });
+    const products = await Product.find({ 'variants.SKU': { $in: guestCart.items.map(item => item.SKU) } });
+
+    for (const guestItem of guestCart.items) {
+      const product = products.find(p => p.variants.some(v => v.SKU === guestItem.SKU));
+      const variant = product && product.variants.find(v => v.SKU === guestItem.SKU);
+      if (!variant) {
+        dropped.push({ SKU: guestItem.SKU, quantity: guestItem.quantity, reason: 'unavailable' });
+        continue;
+      }
+      if (variant.stockQuantity <= 0) {
+        dropped.push({ SKU: guestItem.SKU, quantity: guestItem.quantity, reason: 'out_of_stock' });
+        continue;
+      }
+
+      const existingIndex = findLineIndex(cart.items, { SKU: guestItem.SKU });
+      const existingQuantity = existingIndex > -1 ? cart.items[existingIndex].quantity : 0;
+      const requested = existingQuantity + guestItem.quantity;
+      const quantity = Math.min(requested, variant.stockQuantity);
+
+      const line = {
+        productId: product._id,
+        SKU: variant.SKU,
+        productName: product.productName,
+        imageUrl: variant.imageUrl,
+        quantity,
+        price: getVariantPrice(variant)
+      };
+      if (existingIndex > -1) {
+        cart.items[existingIndex].set(line);
+      } else {
+        cart.items.push(line);
+      }
+
+      merged.push({
+        SKU: variant.SKU,
+        guestQuantity: guestItem.quantity,
+        previousQuantity: existingQuantity,
+        quantity,
+        capped: quantity < requested
+      });
+    }
+
+    if (!cart.couponCode && guestCart.couponCode) {
+      cart.couponCode = guestCart.couponCode;
+    }
+
+    cart.updatedAt = Date.now();
+    await cart.save();
+  }
+
+  await guestCart.deleteOne();
+  return { merged, dropped };
+};
+
+// ===== CATALOGUE VIEWS =====
+
+// Roles that may see trade (dealer) prices
+const DEALER_PRICE_ROLES = ['staff', 'admin'];
+
+// What the signed-in shopper already has, for per-product flags.
+// Returns null for anonymous requests.
+const loadShopperContext = async (user) => {
+  if (!user) {
+    return null;
+  }
+
+  const [cart, wishlist] = await Promise.all([
+    Cart.findOne({ userId: user.id }).select('items.productId items.SKU').lean(),
+    Wishlist.findOne({ userId: user.id }).select('items.productId items.SKU').lean()
+  ]);
+  const cartItems = cart ? cart.items : [];
+  const wishlistItems = wishlist ? wishlist.items : [];
+
+  return {
+    cartSKUs: new Set(cartItems.map(item => item.SKU)),
+    cartProducts: new Set(cartItems.map(item => String(item.productId))),
+    wishlistSKUs: new Set(wishlistItems.map(item => item.SKU)),
+    wishlistProducts: new Set(wishlistItems.map(item => String(item.productId)))
+  };
+};
+
+// Shape a plain product object for the caller: hide dealerPrice from customers
+// and anonymous users, and add inCart/inWishlist flags when signed in
+const shapeProduct = (product, user, context) => {
+  const showDealerPrice = Boolean(user && DEALER_PRICE_ROLES.includes(user.role));
+
+  const variants = (product.variants || []).map(variant => {
+    const { dealerPrice, ...publicVariant } = variant;
+    const shaped = showDealerPrice ? { ...variant } : publicVariant;
+    if (context) {
+      shaped.inCart = context.cartSKUs.has(variant.SKU);
+      shaped.inWishlist = context.wishlistSKUs.has(variant.SKU);
+    }
+    return shaped;
+  });
+
+  const shaped = { ...product, variants };
+  if (context) {
+    shaped.inCart = context.cartProducts.has(String(product._id));
+    shaped.inWishlist = context.wishlistProducts.has(String(product._id));
+  }
+  return shaped;
+};
+
+// ===== TRANSACTIONS =====
+
+// Run fn(session) in a MongoDB transaction (requires a replica set) and return its result
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      // Reset on each attempt: withTransaction retries fn on transient errors
+      afterCommitCallbacks.set(session, []);
+      result = await fn(session);
+    });
+    afterCommitCallbacks.get(session).forEach(callback => callback());
+    return result;
+  } finally {
+    afterCommitCallbacks.delete(session);
+    await session.endSession();
+  }
+};
+
+// Callbacks to run once a runInTransaction session has committed
+const afterCommitCallbacks = new WeakMap();
+
+// Run callback after the session's transaction commits, or right away outside one
+const afterCommit = (session, callback) => {
+  const callbacks = session && afterCommitCallbacks.get(session);
+  if (callbacks) {
+    callbacks.push(callback);
+  } else {
+    callback();
+  }
+};
+
+// ===== SEQUENCES =====
+
+// Human-readable IDs: prefix + a number from an atomic counter, starting at start.
+// Before its first use in a process the counter is moved past the highest ID
+// already stored in model.field, so IDs issued before the counter existed are
+// never handed out again.
+const SEQUENCES = {
+  customer: { prefix: "EGM-CUST-", start: 10001, model: () => User, field: "userId" },
+  order: { prefix: "EGM-ORD-", start: 100001, model: () => Order, field: "orderNumber" },
+  invoice: { prefix: "EGM-INV-", start: 1, model: () => Invoice, field: "invoiceNumber" }
+};
+
+// Pending or finished seeding per sequence name
+const sequenceSeeds = {};
+
+const seedSequence = async (name) => {
+  const { prefix, model, field } = SEQUENCES[name];
+  const [highest] = await model().aggregate([
+    { $match: { [field]: { $regex: `^${prefix}\\d+$` } } },
+    { $group: { _id: null, seq: { $max: { $toLong: { $substrCP: [`$${field}`, prefix.length, 20] } } } } }
+  ]);
+  if (!highest) {
+    return;
+  }
+
+  const raise = () => Counter.updateOne({ _id: name }, { $max: { seq: highest.seq } }, { upsert: true });
+  try {
+    await raise();
+  } catch (err) {
+    // Another call created the counter first; raise it now that it exists
+    if (err.code !== 11000) {
+      throw err;
+    }
+    await raise();
+  }
+};
+
+const ensureSequenceSeeded = (name) => {
+  if (!sequenceSeeds[name]) {
+    sequenceSeeds[name] = seedSequence(name).catch(err => {
+      delete sequenceSeeds[name];
+      throw err;
+    });
+  }
+  return sequenceSeeds[name];
+};
+
+// Issue the next ID of a sequence; safe under concurrent calls
+const nextSequenceId = async (name, { session } = {}) => {
+  const { prefix, start } = SEQUENCES[name];
+  await ensureSequenceSeeded(name);
+  // Pipeline update so a missing counter starts at `start` in the same operation
+  const increment = () => Counter.findOneAndUpdate(
+    { _id: name },
+    [{ $set: { seq: { $add: [{ $ifNull: ["$seq", start - 1] }, 1] } } }],
+    { new: true, upsert: true, session }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (err) {
+    // Two first calls raced to create the counter; the other one won
+    if (err.code !== 11000) {
+      throw err;
+    }
+    counter = await increment();
+  }
+  return `${prefix}${counter.seq}`;
+};
+
+// ===== ORDER STATUS =====
+
+// Allowed order status transitions; anything not listed is rejected
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Build a statusHistory entry for the user making the change
+const statusHistoryEntry = (status, from, user, note) => ({
+  status,
+  from,
+  actor: user && user.id,
+  actorRole: user && user.role,
+  note,
+  at: new Date()
+});
+
+// Actor recorded for changes made by the server itself (webhooks, expiry)
+const SYSTEM_ACTOR = { role: 'system' };
+
+// Move an order to a new status inside a transaction, recording who did it.
+// Cancelling returns the items to stock. Pass session to join a transaction
+// that is already running.
+const transitionOrderStatus = (orderId, status, { user, note, filter = {}, session }) => {
+  const apply = (session) => applyOrderTransition(orderId, status, { user, note, filter }, session);
+  return session ? apply(session) : runInTransaction(apply);
+};
+
+const applyOrderTransition = async (orderId, status, { user, note, filter }, session) => {
+  const order = await Order.findOne({ _id: orderId, ...filter }).session(session);
+  if (!order) {
+    throw new HttpError(404, "Order not found");
+  }
+  if (!canTransition(order.status, status)) {
+    throw new HttpError(400, `Cannot move order from ${order.status} to ${status}`);
+  }
+  // Orders that go through payment are only processed once paid
+  if (status === 'processing' && order.paymentStatus === 'unpaid') {
+    throw new HttpError(400, "Order has not been paid");
+  }
+
+  // Conditional on the status we read so concurrent changes can't both apply
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status },
+      $push: { statusHistory: statusHistoryEntry(status, order.status, user, note) }
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new HttpError(409, "Order status changed, please retry");
+  }
+
+  if (status === 'cancelled') {
+    await releaseStock(updated.items, session);
+    await releaseCoupon(updated, session);
+  }
+  if (status === 'shipped' || status === 'delivered') {
+    await issueInvoice(updated, session);
+  }
+
+  return updated;
+};
+
+// Customer-facing view of an order's status history
+const orderTimeline = (order) => {
+  if (!order.statusHistory.length) {
+    // Orders placed before history was recorded
+    return [{ status: 'pending', at: order.orderDate }, ...(order.status !== 'pending' ? [{ status: order.status }] : [])];
+  }
+  return order.statusHistory.map(entry => ({
+    status: entry.status,
+    at: entry.at,
+    note: entry.note
+  }));
+};
+
+// ===== PDF =====
+
+// Minimal PDF writer for server-rendered documents: text in the standard
+// Helvetica fonts and straight lines on A4 pages, coordinates in points from
+// the bottom-left corner. Text is limited to Latin-1.
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (per 1000 units) for the characters that matter when
+// right-aligning amounts; other characters use an average width
+const PDF_CHAR_WIDTHS = { '.': 278, ',': 278, ' ': 278, '-': 333, ':': 278, '%': 889, '(': 333, ')': 333 };
+
+const pdfTextWidth = (text, size) =>
+  [...text].reduce((acc, char) => acc + (/[0-9]/.test(char) ? 556 : PDF_CHAR_WIDTHS[char] || 556), 0) * size / 1000;
+
+const pdfEscape = (text) => String(text)
+  .replace(/₹/g, "Rs.")
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+  .replace(/[\\()]/g, "\\$&");
+
+const createPdf = () => {
+  const pages = [];
+  let ops = null;
+
+  const doc = {
+    addPage: () => {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+    // options: size (default 10), bold, align ('left' | 'right', x is the right edge)
+    text: (x, y, text, { size = 10, bold = false, align = 'left' } = {}) => {
+      const value = pdfEscape(text);
+      const left = align === 'right' ? x - pdfTextWidth(value, size) : x;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${value}) Tj ET`);
+      return doc;
+    },
+    line: (x1, y1, x2, y2, width = 0.5) => {
+      ops.push(`${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+      return doc;
+    },
+    toBuffer: () => {
+      // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+      const objects = [];
+      const pageIds = pages.map((_, index) => 5 + index * 2);
+      objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+      objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+      objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+      pages.forEach((pageOps, index) => {
+        const content = pageOps.join("\n");
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+      });
+
+      let output = "%PDF-1.4\n";
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, "latin1");
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+      const xrefOffset = Buffer.byteLength(output, "latin1");
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+      return Buffer.from(output, "latin1");
+    }
+  };
+
+  return doc.addPage();
+};
+
+// ===== INVOICES =====
+
+// Seller shown on invoices; state comes from SELLER_STATE.
+// Override with SELLER_DETAILS='{"name":"...","address":"...","gstin":"..."}'.
+const SELLER_DETAILS = {
+  name: "E-Mart",
+  address: "",
+  gstin: "",
+  ...JSON.parse(process.env.SELLER_DETAILS || "{}"),
+  state: SELLER_STATE
+};
+
+// Snapshot of an order address for an invoice. Old orders may hold free text
+// or an address with only line1; those are kept as they are and flagged legacy
+// so the invoice still validates.
+const invoiceAddress = (address) => {
+  if (!address) {
+    return undefined;
+  }
+  const fields = typeof address === "string"
+    ? { line1: address }
+    : pickFields(address.toObject ? address.toObject() : address, ADDRESS_FIELDS);
+  const complete = ['name', 'line1', 'city', 'state', 'postalCode', 'phone'].every(field => fields[field]);
+  return complete ? fields : { ...fields, line1: fields.line1 || "Address not recorded", legacy: true };
+};
+
+// Issue the invoice for an order if it doesn't have one yet. Runs in the
+// status-change transaction, so invoice numbers have no gaps.
+const issueInvoice = async (order, session) => {
+  const existing = await Invoice.findOne({ orderId: order._id }).session(session);
+  if (existing) {
+    return existing;
+  }
+
+  const [invoice] = await Invoice.create([{
+    invoiceNumber: await nextSequenceId("invoice", { session }),
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    userId: order.userId,
+    orderDate: order.orderDate,
+    currency: PAYMENT_CURRENCY,
+    seller: SELLER_DETAILS,
+    billingAddress: invoiceAddress(order.billingAddress || order.shippingAddress),
+    shippingAddress: invoiceAddress(order.shippingAddress),
+    items: order.items.map(item => ({
+      SKU: item.SKU,
+      productName: item.productName,
+      quantity: item.quantity,
+      price: item.price,
+      discount: item.discount || 0,
+      taxableValue: item.taxableValue,
+      taxRate: item.taxRate,
+      tax: item.tax,
+      amount: roundMoney(paidPerUnit(item, order) * item.quantity)
+    })),
+    subtotal: order.subtotal,
+    discountTotal: order.discountTotal,
+    tax: order.tax,
+    pricesIncludeTax: order.pricesIncludeTax,
+    shippingCharge: order.shipping ? order.shipping.charge : 0,
+    totalPrice: order.totalPrice
+  }], { session });
+  return invoice;
+};
+
+const formatAmount = (amount) => (Number(amount) || 0).toFixed(2);
+const formatInvoiceDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : "";
+
+const addressLines = (address) => address ? [
+  address.name,
+  address.line1,
+  address.line2,
+  [address.city, address.state, address.postalCode].filter(Boolean).join(", "),
+  address.country,
+  address.phone && `Phone: ${address.phone}`
+].filter(Boolean) : [];
+
+// Render an invoice as a PDF buffer
+const renderInvoicePdf = (invoice) => {
+  const pdf = createPdf();
+  const left = 40;
+  const right = PDF_PAGE_WIDTH - 40;
+  let y = PDF_PAGE_HEIGHT - 50;
+
+  pdf.text(left, y, "TAX INVOICE", { size: 16, bold: true });
+  pdf.text(right, y, invoice.seller.name, { size: 12, bold: true, align: 'right' });
+  y -= 16;
+  [invoice.seller.address, invoice.seller.state, invoice.seller.gstin && `GSTIN: ${invoice.seller.gstin}`]
+    .filter(Boolean)
+    .forEach(line => {
+      pdf.text(right, y, line, { size: 9, align: 'right' });
+      y -= 12;
+    });
+
+  y -= 8;
+  [
+    ["Invoice number", invoice.invoiceNumber],
+    ["Invoice date", formatInvoiceDate(invoice.issuedAt)],
+    ["Order number", invoice.orderNumber || String(invoice.orderId)],
+    ["Order date", formatInvoiceDate(invoice.orderDate)]
+  ].forEach(([label, value]) => {
+    pdf.text(left, y, `${label}:`, { size: 9, bold: true });
+    pdf.text(left + 90, y, value, { size: 9 });
+    y -= 12;
+  });
+
+  y -= 10;
+  pdf.text(left, y, "Bill to", { bold: true });
+  pdf.text(left + 260, y, "Ship to", { bold: true });
+  y -= 13;
+  const billing = addressLines(invoice.billingAddress);
+  const shipping = addressLines(invoice.shippingAddress);
+  for (let i = 0; i < Math.max(billing.length, shipping.length); i++) {
+    if (billing[i]) pdf.text(left, y, billing[i], { size: 9 });
+    if (shipping[i]) pdf.text(left + 260, y, shipping[i], { size: 9 });
+    y -= 12;
+  }
+
+  // Item table; amount columns are right-aligned at these x positions
+  const columns = { qty: 300, rate: 350, discount: 400, taxable: 455, tax: 505, amount: right };
+  const tableHeader = () => {
+    y -= 10;
+    pdf.line(left, y + 12, right, y + 12);
+    pdf.text(left, y, "Item", { size: 9, bold: true });
+    pdf.text(columns.qty, y, "Qty", { size: 9, bold: true, align: 'right' });
+    pdf.text(columns.rate, y, "Rate", { size: 9, bold: true, align: 'right' });
+    pdf.text(columns.discount, y, "Discount", { size: 9, bold: true, align: 'right' });
+    pdf.text(columns.taxable, y, "Taxable", { size: 9, bold: true, align: 'right' });
+    pdf.text(columns.tax, y, "GST", { size: 9, bold: true, align: 'right' });
+    pdf.text(columns.amount, y, "Amount", { size: 9, bold: true, align: 'right' });
+    pdf.line(left, y - 4, right, y - 4);
+    y -= 18;
+  };
+  tableHeader();
+
+  invoice.items.forEach(item => {
+    if (y < 60) {
+      pdf.addPage();
+      y = PDF_PAGE_HEIGHT - 50;
+      tableHeader();
+    }
+    const name = item.productName && item.productName.length > 45 ? `${item.productName.slice(0, 44)}...` : item.productName;
+    pdf.text(left, y, name || item.SKU, { size: 9 });
+    pdf.text(left, y - 10, `SKU ${item.SKU}`, { size: 7 });
+    pdf.text(columns.qty, y, String(item.quantity), { size: 9, align: 'right' });
+    pdf.text(columns.rate, y, formatAmount(item.price), { size: 9, align: 'right' });
+    pdf.text(columns.discount, y, formatAmount(item.discount), { size: 9, align: 'right' });
+    pdf.text(columns.taxable, y, formatAmount(item.taxableValue), { size: 9, align: 'right' });
+    pdf.text(columns.tax, y, `${formatAmount(item.tax && item.tax.total)}`, { size: 9, align: 'right' });
+    pdf.text(columns.tax, y - 10, `@ ${item.taxRate}%`, { size: 7, align: 'right' });
+    pdf.text(columns.amount, y, formatAmount(item.amount), { size: 9, align: 'right' });
+    y -= 24;
+  });
+
+  if (y < 150) {
+    pdf.addPage();
+    y = PDF_PAGE_HEIGHT - 50;
+  }
+  pdf.line(left, y + 10, right, y + 10);
+  // Tax already in the price is listed for information, not added again
+  const tax = invoice.tax || {};
+  const taxLabel = (name) => invoice.pricesIncludeTax ? `${name} (included)` : name;
+  [
+    ["Subtotal", invoice.subtotal],
+    invoice.discountTotal ? ["Discount", -invoice.discountTotal] : null,
+    tax.cgst ? [taxLabel("CGST"), tax.cgst] : null,
+    tax.sgst ? [taxLabel("SGST"), tax.sgst] : null,
+    tax.igst ? [taxLabel("IGST"), tax.igst] : null,
+    ["Shipping", invoice.shippingCharge]
+  ].filter(Boolean).forEach(([label, amount]) => {
+    pdf.text(columns.tax, y, label, { size: 9, align: 'right' });
+    pdf.text(columns.amount, y, formatAmount(amount), { size: 9, align: 'right' });
+    y -= 13;
+  });
+  pdf.text(columns.tax, y - 2, `Total (${invoice.currency})`, { bold: true, align: 'right' });
+  pdf.text(columns.amount, y - 2, formatAmount(invoice.totalPrice), { bold: true, align: 'right' });
+  y -= 24;
+
+  pdf.text(left, 40, "This is a computer-generated invoice and needs no signature.", { size: 8 });
+
+  return pdf.toBuffer();
+};
+
+// ===== PRODUCT LISTING =====
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort options for GET /products. Each sorts on one field with _id as the
+// tie-breaker so cursors stay stable when values repeat.
+const PRODUCT_SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  price_asc: { field: 'minPrice', direction: 1 },
+  price_desc: { field: 'minPrice', direction: -1 },
+  name_asc: { field: 'productName', direction: 1 },
+  name_desc: { field: 'productName', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 },
+  rating: { field: 'ratingAverage', direction: -1 },
+  most_reviewed: { field: 'ratingCount', direction: -1 }
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort value and _id
+const encodeCursor = (sortName, row, field) => Buffer.from(JSON.stringify({
+  s: sortName,
+  v: row[field] instanceof Date ? { d: row[field].toISOString() } : row[field],
+  id: row._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor, sortName) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (decoded.s !== sortName || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+      throw new Error('Cursor does not match query');
+    }
+    return {
+      value: decoded.v && decoded.v.d ? new Date(decoded.v.d) : decoded.v,
+      id: new mongoose.Types.ObjectId(decoded.id)
+    };
+  } catch (err) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+};
+
+// Search, filter, sort and paginate the catalogue.
+// Supported query params: q, category, inStock, minPrice, maxPrice, minRating, sort, limit, cursor.
+const listProducts = async ({ q, category, inStock, minPrice, maxPrice, minRating, sort, limit, cursor }) => {
+  const sortName = sort || (q ? 'relevance' : 'newest');
+  const sortSpec = PRODUCT_SORTS[sortName];
+  if (!sortSpec || (sortName === 'relevance' && !q)) {
+    throw new HttpError(400, `Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')} (relevance requires q)`);
+  }
+
+  const pageSize = Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  if (pageSize < 1) {
+    throw new HttpError(400, "Limit must be a positive number");
+  }
+
+  // Build query object
+  const query = {};
+  if (q) {
+    query.$text = { $search: String(q) };
+  }
+  // Coerced so an object in the query string can't become an operator
+  if (category) {
+    query.category = String(category);
+  }
+  if (inStock === 'true') {
+    query['variants.inStock'] = true;
+  }
+  if (minRating !== undefined && minRating !== '') {
+    query.ratingAverage = { $gte: Number(minRating) };
+  }
+
+  // Customer price of a variant is specialPrice when set, otherwise MRP
+  const pipeline = [
+    { $match: query },
+    {
+      $addFields: {
+        variantPrices: {
+          $map: { input: '$variants', as: 'v', in: { $ifNull: ['$$v.specialPrice', '$$v.MRP'] } }
+        }
+      }
+    },
+    {
+      $addFields: {
+        minPrice: { $min: '$variantPrices' },
+        // Products from before reviews have no rating fields
+        ratingAverage: { $ifNull: ['$ratingAverage', 0] },
+        ratingCount: { $ifNull: ['$ratingCount', 0] }
+      }
+    }
+  ];
+  if (q) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  // A product matches a price range if any of its variants does
+  const priceRange = {};
+  if (minPrice !== undefined && minPrice !== '') {
+    priceRange.$gte = Number(minPrice);
+  }
+  if (maxPrice !== undefined && maxPrice !== '') {
+    priceRange.$lte = Number(maxPrice);
+  }
+  if (Object.values(priceRange).some(Number.isNaN)) {
+    throw new HttpError(400, "minPrice and maxPrice must be numbers");
+  }
+  if (Object.keys(priceRange).length) {
+    pipeline.push({ $match: { variantPrices: { $elemMatch: priceRange } } });
+  }
+
+  const { field, direction } = sortSpec;
+  // Products without variants have no price; leave them out of price sorts
+  // rather than break cursor comparisons on a null minPrice
+  if (field === 'minPrice') {
+    pipeline.push({ $match: { minPrice: { $ne: null } } });
+  }
+
+  // Total before pagination so count stays meaningful across pages
+  const [{ total } = { total: 0 }] = await Product.aggregate([...pipeline, { $count: 'total' }]);
+
+  if (cursor) {
+    const after = decodeCursor(cursor, sortName);
+    const op = direction === 1 ? '$gt' : '$lt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { [field]: { [op]: after.value } },
+          { [field]: after.value, _id: { [op]: after.id } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { [field]: direction, _id: direction } },
+    { $limit: pageSize + 1 },
+    { $project: { variantPrices: 0 } }
+  );
+
+  const rows = await Product.aggregate(pipeline);
+  const hasMore = rows.length > pageSize;
+  const products = rows.slice(0, pageSize);
+
+  return {
+    products,
+    total,
+    nextCursor: hasMore ? encodeCursor(sortName, products[products.length - 1], field) : null
+  };
+};
+
+// ===== REVIEWS =====
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+};
+
+// Recompute a product's rating aggregates from its published reviews.
+// Recomputing (rather than adjusting by the change) keeps them correct when
+// reviews change concurrently.
+const refreshProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(String(productId)), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  await Product.updateOne(
+    { _id: productId },
+    { $set: { ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0, ratingCount: stats ? stats.count : 0 } }
+  );
+};
+
+// Only customers who have received the product may review it
+const hasReceivedProduct = (userId, productId) =>
+  Order.exists({ userId, status: 'delivered', 'items.productId': productId });
+
+// Public view of a review: no reports or moderation details
+const shapeReview = (review) => ({
+  _id: review._id,
+  productId: review.productId,
+  username: review.username,
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  imageUrls: review.imageUrls,
+  helpfulCount: review.helpfulCount,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+// ===== PAYMENTS =====
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || "fake";
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "INR";
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+const PAYMENT_SWEEP_INTERVAL_MS = parseInt(process.env.PAYMENT_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Constant-time comparison of a received signature with the expected HMAC
+const verifyHmacSignature = (secret, payload, signature) => {
+  if (!secret || !payload || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(crypto.createHmac("sha256", secret).update(payload).digest("hex"));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Providers implement:
+//   createPayment({ amount, currency, receipt }) -> { providerPaymentId, clientData }
+//   verifyWebhook(req) -> boolean
+//   parseWebhook(req) -> { eventId, type, providerPaymentId, chargeId, amount }
+//   refundPayment({ payment, amount }) -> { providerRefundId }
+// where type is 'payment.captured', 'payment.failed' or anything else (ignored).
+// Amounts are in major units (rupees); adapters convert as the provider needs.
+const paymentProviders = {
+  // Local development and tests: no network calls. Webhooks are signed with
+  // HMAC-SHA256 of the raw body using PAYMENT_WEBHOOK_SECRET, sent in X-Fake-Signature.
+  // Body: { id, type, data: { providerPaymentId, amount } }
+  fake: {
+    createPayment: async () => ({
+      providerPaymentId: `fake_pay_${crypto.randomBytes(12).toString("hex")}`,
+      clientData: {}
+    }),
+    verifyWebhook: (req) => verifyHmacSignature(
+      process.env.PAYMENT_WEBHOOK_SECRET,
+      req.rawBody,
+      req.header("X-Fake-Signature")
+    ),
+    parseWebhook: (req) => ({
+      eventId: req.body.id,
+      type: req.body.type,
+      providerPaymentId: req.body.data && req.body.data.providerPaymentId,
+      chargeId: req.body.data && req.body.data.chargeId,
+      amount: req.body.data && req.body.data.amount
+    }),
+    refundPayment: async () => ({
+      providerRefundId: `fake_rfnd_${crypto.randomBytes(12).toString("hex")}`
+    })
+  },
+  // Razorpay: a Razorpay order is the payment intent; the app completes
+  // checkout with its SDK using the returned key and order ID.
+  razorpay: {
+    createPayment: async ({ amount, currency, receipt }) => {
+      const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString("base64");
+      const response = await fetch("https://api.razorpay.com/v1/orders", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Basic ${auth}` },
+        body: JSON.stringify({ amount: Math.round(amount * 100), currency, receipt })
+      });
+      if (!response.ok) {
+        throw new Error(`Razorpay order creation failed with status ${response.status}`);
+      }
+      const razorpayOrder = await response.json();
+      return {
+        providerPaymentId: razorpayOrder.id,
+        clientData: { keyId: process.env.RAZORPAY_KEY_ID, razorpayOrderId: razorpayOrder.id }
+      };
+    },
+    verifyWebhook: (req) => verifyHmacSignature(
+      process.env.RAZORPAY_WEBHOOK_SECRET,
+      req.rawBody,
+      req.header("X-Razorpay-Signature")
+    ),
+    parseWebhook: (req) => {
+      const payment = req.body.payload && req.body.payload.payment && req.body.payload.payment.entity;
+      return {
+        eventId: req.header("X-Razorpay-Event-Id"),
+        type: req.body.event,
+        providerPaymentId: payment && payment.order_id,
+        chargeId: payment && payment.id,
+        amount: payment && payment.amount / 100
+      };
+    },
+    refundPayment: async ({ payment, amount }) => {
+      const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString("base64");
+      const response = await fetch(`https://api.razorpay.com/v1/payments/${payment.providerChargeId}/refund`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Basic ${auth}` },
+        body: JSON.stringify({ amount: Math.round(amount * 100) })
+      });
+      if (!response.ok) {
+        throw new Error(`Razorpay refund failed with status ${response.status}`);
+      }
+      const refund = await response.json();
+      return { providerRefundId: refund.id };
+    }
+  }
+};
+
+// Handle a verified, not-yet-seen webhook event inside its transaction
+const applyPaymentEvent = async (provider, event, session) => {
+  if (event.type !== 'payment.captured' && event.type !== 'payment.failed') {
+    return;
+  }
+
+  const payment = await Payment.findOne({ provider, providerPaymentId: event.providerPaymentId }).session(session);
+  if (!payment) {
+    console.warn(`Payment webhook for unknown ${provider} payment ${event.providerPaymentId}`);
+    return;
+  }
+
+  if (event.type === 'payment.failed') {
+    if (payment.status === 'created') {
+      payment.status = 'failed';
+      payment.updatedAt = Date.now();
+      await payment.save({ session });
+    }
+    return;
+  }
+
+  if (roundMoney(event.amount) !== roundMoney(payment.amount)) {
+    console.error(`Payment ${payment._id} captured ${event.amount}, expected ${payment.amount}`);
+    return;
+  }
+
+  const order = await Order.findById(payment.orderId).session(session);
+  if (!order || order.status !== 'pending') {
+    // Already applied to the order (the provider reported it again)
+    if (payment.status === 'captured') {
+      return;
+    }
+    // e.g. the order already expired: keep the money on record and give it back
+    console.warn(`Payment ${payment._id} captured for order ${payment.orderId} in ${order ? order.status : 'missing'} state; refunding`);
+    payment.status = 'unmatched';
+    payment.providerChargeId = event.chargeId;
+    payment.updatedAt = Date.now();
+    await payment.save({ session });
+    afterCommit(session, () => refundUnmatchedPaymentInBackground(payment._id));
+    return;
+  }
+
+  payment.status = 'captured';
+  payment.providerChargeId = event.chargeId;
+  payment.updatedAt = Date.now();
+  await payment.save({ session });
+
+  await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: 'paid' } }, { session });
+  await transitionOrderStatus(order._id, 'processing', {
+    user: SYSTEM_ACTOR,
+    note: `Payment captured (${provider})`,
+    session
+  });
+};
+
+// Refund part or all of an order through its payment provider.
+// The amount is reserved on the order first (conditional on the remaining
+// refundable balance) so concurrent refunds can't exceed what was paid; the
+// reservation is rolled back if the provider call fails.
+const issueRefund = async (orderId, amount, { reason, returnId, user }) => {
+  amount = roundMoney(amount);
+  if (!(amount > 0)) {
+    throw new HttpError(400, "Refund amount must be greater than zero");
+  }
+
+  const payment = await Payment.findOne({ orderId, status: 'captured' });
+  if (!payment) {
+    throw new HttpError(400, "This order has no captured payment to refund");
+  }
+  const provider = paymentProviders[payment.provider];
+
+  const refundId = new mongoose.Types.ObjectId();
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedTotal', 0] }, amount] }, '$totalPrice'] }
+    },
+    {
+      $inc: { refundedTotal: amount },
+      $push: { refunds: { _id: refundId, amount, reason, returnId, createdBy: user && user.id } }
+    },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new HttpError(400, "Refund exceeds the amount left to refund on this order");
+  }
+
+  try {
+    const { providerRefundId } = await provider.refundPayment({ payment, amount });
+    const fullyRefunded = roundMoney(reserved.refundedTotal) >= roundMoney(reserved.totalPrice);
+    return await Order.findOneAndUpdate(
+      { _id: orderId, 'refunds._id': refundId },
+      {
+        $set: {
+          'refunds.$.status': 'succeeded',
+          'refunds.$.providerRefundId': providerRefundId,
+          paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded'
+        }
+      },
+      { new: true }
+    );
+  } catch (err) {
+    await Order.updateOne(
+      { _id: orderId, 'refunds._id': refundId },
+      { $inc: { refundedTotal: -amount }, $set: { 'refunds.$.status': 'failed' } }
+    );
+    throw err;
+  }
+};
+
+// Refund the full amount of an unmatched payment. It isn't part of the order's
+// refund ledger since it never paid for the order. If the provider call fails
+// the payment stays unmatched for staff to refund by hand.
+const refundUnmatchedPayment = async (paymentId) => {
+  const payment = await Payment.findOne({ _id: paymentId, status: 'unmatched' });
+  if (!payment) {
+    return;
+  }
+  const { providerRefundId } = await paymentProviders[payment.provider].refundPayment({ payment, amount: payment.amount });
+  await Payment.updateOne(
+    { _id: payment._id, status: 'unmatched' },
+    { $set: { status: 'refunded', providerRefundId, updatedAt: Date.now() } }
+  );
+};
+
+const refundUnmatchedPaymentInBackground = (paymentId) => {
+  refundUnmatchedPayment(paymentId).catch(err => {
+    console.error(`Refund for unmatched payment ${paymentId} failed:`, err);
+  });
+};
+
+// Refund whatever is left on a paid order after it's cancelled. A failed
+// refund doesn't undo the cancellation; it shows as failed in the ledger and
+// staff can retry through /admin/orders/:orderId/refunds.
+const refundCancelledOrder = async (order, user) => {
+  if (order.paymentStatus !== 'paid' && order.paymentStatus !== 'partially_refunded') {
+    return order;
+  }
+  try {
+    return await issueRefund(order._id, order.totalPrice - (order.refundedTotal || 0), {
+      reason: 'Order cancelled',
+      user
+    });
+  } catch (err) {
+    console.error(`Refund for cancelled order ${order._id} failed:`, err);
+    return Order.findById(order._id);
+  }
+};
+
+// Job: cancel orders whose payment window has passed, returning their stock.
+// The status transition is conditional, so an overlapping run can't cancel twice.
+const expireUnpaidOrders = async (run) => {
+  const summary = { cancelled: 0, failed: 0 };
+
+  const expired = await Order.find({
+    status: 'pending',
+    paymentStatus: 'unpaid',
+    paymentExpiresAt: { $lt: new Date() }
+  }).select('_id userId').sort({ paymentExpiresAt: 1 }).limit(100);
+
+  for (const { _id, userId } of expired) {
+    try {
+      await transitionOrderStatus(_id, 'cancelled', {
+        user: SYSTEM_ACTOR,
+        note: 'Payment not received in time',
+        filter: { paymentStatus: 'unpaid' }
+      });
+      await Payment.updateMany({ orderId: _id, status: 'created' }, { $set: { status: 'expired', updatedAt: Date.now() } });
+      summary.cancelled++;
+      run.touched.push({ orderId: _id, userId, action: 'cancelled' });
+    } catch (err) {
+      // An HttpError means the order was paid or changed meanwhile
+      if (!(err instanceof HttpError)) {
+        console.error(`Failed to expire order ${_id}:`, err);
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+// ===== MIDDLEWARE =====
+
+// JWT Secret Key
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Token lifetimes
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Read the token from "Authorization: Bearer <token>" (or a bare token)
+const getBearerToken = (req) => req.header("Authorization")?.replace("Bearer ", "") || req.header("Authorization");
+
+// Middleware to verify JWT
+const verifyToken = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    
+    if (!token) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Access denied. No token provided." 
+      });
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Access tokens are bound to a session so logout takes effect immediately
+    const session = decoded.sid && await Session.exists({ _id: decoded.sid, revokedAt: null });
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Session has been revoked. Please log in again." 
+      });
+    }
+
+    req.user = decoded;
+    next();
+  } catch (err) {
+    res.status(401).json({ 
+      success: false, 
+      message: "Invalid token." 
+    });
+  }
+};
+
+// Middleware for public routes: attaches req.user when a valid token is sent,
+// otherwise continues anonymously
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.sid && await Session.exists({ _id: decoded.sid, revokedAt: null })) {
+      req.user = decoded;
+    }
+  } catch (err) {
+    // Expired or invalid tokens just mean an anonymous request here
+  }
+  next();
+};
+
+// Middleware for cart routes: signed-in users are identified by their access
+// token, guests by the X-Cart-Token header. Sets req.cartQuery to find the
+// caller's cart, or null for a guest without a cart yet.
+const cartAuth = (req, res, next) => {
+  if (getBearerToken(req)) {
+    return verifyToken(req, res, () => {
+      req.cartQuery = { userId: req.user.id };
+      next();
+    });
+  }
+
+  const cartToken = req.header("X-Cart-Token");
+  req.cartQuery = cartToken
+    ? { guestTokenHash: hashToken(cartToken), expiresAt: { $gt: new Date() } }
+    : null;
+  next();
+};
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// How long a request may hold its key before a retry can take it over
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 30;
+
+// Routes whose responses carry credentials are never stored for replay;
+// webhooks have their own event-ID de-duplication
+const IDEMPOTENCY_EXCLUDED = ['/login', '/token/refresh'];
+const isIdempotencyExcluded = (path) => IDEMPOTENCY_EXCLUDED.includes(path) || path.startsWith('/webhooks/');
+
+// Who an Idempotency-Key belongs to. Only used to namespace keys, so a token
+// that verifies is enough; the route itself still authenticates the request.
+const idempotencyScope = (req) => {
+  const token = getBearerToken(req);
+  if (token) {
+    try {
+      return `user:${jwt.verify(token, JWT_SECRET).id}`;
+    } catch (err) {
+      // Fall through to the anonymous scopes
+    }
+  }
+  const cartToken = req.header("X-Cart-Token");
+  return cartToken ? `cart:${hashToken(cartToken)}` : `ip:${req.ip}`;
+};
+
+// Middleware for POST/DELETE requests carrying an Idempotency-Key header:
+// the first request runs and its response is stored; a retry with the same
+// key and body gets the stored response replayed, and a retry with a
+// different body gets 409. Server errors, 429s and 409s aren't stored, so
+// those can be retried.
+// The outcome is recorded when the route responds, even if the client has
+// already disconnected, so a retry replays it instead of running twice.
+const idempotency = async (req, res, next) => {
+  const key = req.header("Idempotency-Key");
+  if (!key || !['POST', 'DELETE'].includes(req.method) || isIdempotencyExcluded(req.path)) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Idempotency-Key must be at most 255 characters" 
+    });
+  }
+
+  try {
+    const scope = idempotencyScope(req);
+    const requestHash = hashToken(JSON.stringify([req.method, req.path, req.body || {}]));
+
+    const leaseUntil = () => new Date(Date.now() + IDEMPOTENCY_LEASE_SECONDS * 1000);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        scope,
+        key,
+        method: req.method,
+        path: req.path,
+        requestHash,
+        lockedUntil: leaseUntil(),
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+
+      const existing = await IdempotencyKey.findOne({ scope, key });
+      if (!existing || existing.requestHash !== requestHash) {
+        return res.status(409).json({ 
+          success: false, 
+          message: "Idempotency-Key has already been used for a different request" 
+        });
+      }
+      if (existing.status === 'in_progress') {
+        // Take over a key whose lease lapsed; conditional so only one retry wins
+        record = existing.lockedUntil && existing.lockedUntil > new Date()
+          ? null
+          : await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: 'in_progress', lockedUntil: existing.lockedUntil || null },
+            { $set: { lockedUntil: leaseUntil() } },
+            { new: true }
+          );
+        if (!record) {
+          return res.status(409).json({ 
+            success: false, 
+            message: "A request with this Idempotency-Key is still being processed" 
+          });
+        }
+      } else {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.statusCode).json(existing.responseBody);
+      }
+    }
+
+    // Capture the response so it can be replayed
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // Record the outcome when the route ends its response. Hooked on end()
+    // rather than the "finish" event, which never fires if the client has gone.
+    // Responses that mean "try again" (server errors, 429 rate limits and 409
+    // conflicts) aren't stored, so a retry with the same key runs again.
+    let settled = false;
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      if (!settled) {
+        settled = true;
+        const retryable = res.statusCode >= 500 || res.statusCode === 429 || res.statusCode === 409;
+        const done = retryable
+          ? IdempotencyKey.deleteOne({ _id: record._id })
+          : IdempotencyKey.updateOne(
+            { _id: record._id },
+            // Round-trip through JSON so the stored body matches what the client received
+            { $set: { status: 'completed', statusCode: res.statusCode, responseBody: JSON.parse(JSON.stringify(responseBody === undefined ? null : responseBody)) }, $unset: { lockedUntil: 1 } }
+          );
+        done.catch(err => console.error("Idempotency record update error:", err));
+      }
+      return end(...args);
+    };
+
+    next();
+  } catch (err) {
+    console.error("Idempotency error:", err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Something went wrong!" 
+    });
+  }
+};
+
+// ===== RATE LIMITING =====
+
+// Rate limit stores implement increment(key, windowMs) -> { count, resetAt }:
+// count hits for key within a fixed window that starts at the first hit.
+// The memory store suits a single instance; use a shared store (e.g. 'mongo')
+// when running several instances. Select with RATE_LIMIT_STORE.
+const createMemoryRateLimitStore = () => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    }
+  };
+};
+
+const createMongoRateLimitStore = () => ({
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    try {
+      // Start a new window if there's none or the current one has ended
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key, resetAt: { $gt: now } },
+        { $inc: { count: 1 } },
+        { new: true }
+      ) || await RateLimitCounter.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (err) {
+      // Two requests opened the same window at once; count against the winner
+      if (err.code === 11000) {
+        const counter = await RateLimitCounter.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+        return { count: counter.count, resetAt: counter.resetAt };
+      }
+      throw err;
+    }
+  }
+});
+
+const rateLimitStores = {
+  memory: createMemoryRateLimitStore,
+  mongo: createMongoRateLimitStore
+};
+
+const rateLimitStore = rateLimitStores[process.env.RATE_LIMIT_STORE || "memory"]();
+
+// Limits per window; override with RATE_LIMITS='{"loginIp":{"max":50}}'
+const RATE_LIMITS = (() => {
+  const defaults = {
+    loginIp: { windowMs: 15 * 60 * 1000, max: 20 },
+    loginAccount: { windowMs: 15 * 60 * 1000, max: 10 },
+    registerIp: { windowMs: 60 * 60 * 1000, max: 10 },
+    // Also caps the "you already have an account" emails one address can receive
+    registerAccount: { windowMs: 60 * 60 * 1000, max: 3 },
+    passwordResetIp: { windowMs: 60 * 60 * 1000, max: 10 }
+  };
+  const overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+  Object.keys(overrides).forEach(name => {
+    defaults[name] = { ...defaults[name], ...overrides[name] };
+  });
+  return defaults;
+})();
+
+// Respond 429 with Retry-After (seconds until retryAt)
+const sendTooManyRequests = (res, retryAt, message) => {
+  res.set("Retry-After", String(Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000))));
+  res.status(429).json({ 
+    success: false, 
+    message: message || "Too many requests. Please try again later." 
+  });
+};
+
+// Middleware factory: allow RATE_LIMITS[name].max hits per window per key(req).
+// Requests for which key(req) returns nothing are not limited.
+const rateLimit = (name, key) => async (req, res, next) => {
+  const limit = RATE_LIMITS[name];
+  const subject = key(req);
+  if (!subject) {
+    return next();
+  }
+
+  try {
+    const { count, resetAt } = await rateLimitStore.increment(`${name}:${subject}`, limit.windowMs);
+    if (count > limit.max) {
+      return sendTooManyRequests(res, resetAt);
+    }
+  } catch (err) {
+    // Don't lock everyone out if the store is unavailable
+    console.error("Rate limit store error:", err);
+  }
+  next();
+};
+
+const byIp = (req) => req.ip;
+const byEmail = (req) => typeof req.body.email === "string" && req.body.email.trim().toLowerCase();
+
+// ===== ACCOUNT LOCKOUT =====
+
+// After LOCKOUT_THRESHOLD failed logins in a row an email address locks for
+// LOCKOUT_BASE_MINUTES, doubling with each further failure up to LOCKOUT_MAX_MINUTES.
+// Tracked by email rather than on the user, so unknown addresses lock the same way.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 1;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES) || 60;
+
+const lockoutKey = (email) => String(email).trim().toLowerCase();
+
+// When the address is locked until, or null if it isn't
+const loginLockedUntil = async (email) => {
+  const lockout = await LoginLockout.findOne({ email: lockoutKey(email) }, "lockedUntil");
+  return lockout && lockout.lockedUntil > new Date() ? lockout.lockedUntil : null;
+};
+
+// Count a failed login; returns when the address is now locked until, if it is
+const recordFailedLogin = async (email) => {
+  const lockout = await LoginLockout.findOneAndUpdate(
+    { email: lockoutKey(email) },
+    { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: new Date() } },
+    { new: true, upsert: true }
+  );
+  if (lockout.failedAttempts < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  const minutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** (lockout.failedAttempts - LOCKOUT_THRESHOLD),
+    LOCKOUT_MAX_MINUTES
+  );
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  await LoginLockout.updateOne({ _id: lockout._id }, { $set: { lockedUntil } });
+  return lockedUntil;
+};
+
+const clearFailedLogins = (email) => LoginLockout.deleteOne({ email: lockoutKey(email) });
+
+// Compared against when no user matches, so a missing account takes as long as a wrong password
+const dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString("hex"), 12);
+
+// Middleware to restrict a route to certain roles; use after verifyToken
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ 
+      success: false, 
+      message: "You do not have permission to perform this action." 
+    });
+  }
+  next();
+};
+
+// ===== SESSIONS =====
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, email: user.email, username: user.username, role: user.role, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a new session for a user and return its token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    device: req.body.device || req.header("User-Agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Revoke every active session of a user (logout-all, password change, ...),
+// optionally keeping the one the request came from
+const revokeAllSessions = (userId, reason, exceptSessionId) => Session.updateMany(
+  { userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// ===== PASSWORDS =====
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// ===== EMAIL =====
+
+// Transports take { to, subject, text }. Add a production transport (SMTP,
+// SES, ...) here and select it with EMAIL_TRANSPORT.
+const emailTransports = {
+  // Local development: print the message
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+    }
+  },
+  // Local development: write each message to a file in EMAIL_OUTBOX_DIR
+  file: {
+    send: async ({ to, subject, text }) => {
+      const dir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, "outbox");
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${to.replace(/[^a-z0-9@.]/gi, "_")}.txt`;
+      await fs.promises.writeFile(
+        path.join(dir, fileName),
+        `To: ${to}\nSubject: ${subject}\n\n${text}\n`
+      );
+    }
+  }
+};
+
+const sendEmail = (message) => {
+  const transport = emailTransports[process.env.EMAIL_TRANSPORT || "console"];
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${process.env.EMAIL_TRANSPORT}`);
+  }
+  return transport.send(message);
+};
+
+// ===== SMS =====
+
+// Transports take { to, text }. Add a production transport (Twilio, MSG91,
+// ...) here and select it with SMS_TRANSPORT.
+const smsTransports = {
+  // Local development: print the message
+  console: {
+    send: async ({ to, text }) => {
+      console.log(`📱 SMS to ${to}: ${text}`);
+    }
+  }
+};
+
+const sendSms = (message) => {
+  const transport = smsTransports[process.env.SMS_TRANSPORT || "console"];
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${process.env.SMS_TRANSPORT}`);
+  }
+  return transport.send(message);
+};
+
+// ===== VERIFICATION =====
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+
+// What /place-order needs confirmed: none (default), email, mobile, any or both
+const REQUIRE_VERIFIED_CONTACT = process.env.REQUIRE_VERIFIED_CONTACT || "none";
+
+const VERIFIED_FIELDS = { email: "emailVerified", mobile: "mobileVerified" };
+
+// Keyed so a leaked hash of a 6-digit code can't simply be looked up
+const hashOtp = (userId, channel, code) =>
+  crypto.createHmac("sha256", JWT_SECRET).update(`${userId}:${channel}:${code}`).digest("hex");
+
+const hasVerifiedContact = (user) => {
+  switch (REQUIRE_VERIFIED_CONTACT) {
+    case "email": return user.emailVerified;
+    case "mobile": return user.mobileVerified;
+    case "any": return user.emailVerified || user.mobileVerified;
+    case "both": return user.emailVerified && user.mobileVerified;
+    default: return true;
+  }
+};
+
+// Send a fresh code to the user's email or mobile, replacing any earlier one.
+// Throws HttpError 429 (with retryAt) when asked again within OTP_RESEND_SECONDS.
+const sendVerificationCode = async (user, channel) => {
+  const target = user[channel];
+  if (!target) {
+    throw new HttpError(400, "Add a mobile number before verifying it");
+  }
+  if (user[VERIFIED_FIELDS[channel]]) {
+    throw new HttpError(400, `Your ${channel === "email" ? "email" : "mobile number"} is already verified`);
+  }
+
+  const previous = await VerificationCode.findOne({ userId: user._id, channel });
+  if (previous) {
+    const retryAt = new Date(previous.sentAt.getTime() + OTP_RESEND_SECONDS * 1000);
+    if (retryAt > new Date()) {
+      const err = new HttpError(429, "Please wait before requesting another code");
+      err.retryAt = retryAt;
+      throw err;
+    }
+  }
+
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, "0");
+  await VerificationCode.findOneAndUpdate(
+    { userId: user._id, channel },
+    {
+      target,
+      codeHash: hashOtp(user._id, channel, code),
+      attempts: 0,
+      sentAt: new Date(),
+      expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (channel === "email") {
+    await sendEmail({
+      to: target,
+      subject: "Your E-Mart verification code",
+      text: `Hi ${user.username},\n\nYour verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.\n\nIf you didn't request this, you can ignore this email.`
+    });
+  } else {
+    await sendSms({
+      to: target,
+      text: `${code} is your E-Mart verification code. It expires in ${OTP_TTL_MINUTES} minutes.`
+    });
+  }
+};
+
+// Check a code and mark the contact verified; throws HttpError 400 when wrong
+const confirmVerificationCode = async (user, channel, code) => {
+  const invalid = new HttpError(400, "Invalid or expired code");
+
+  const record = await VerificationCode.findOne({ userId: user._id, channel });
+  if (!record || record.expiresAt < new Date() || record.target !== user[channel]) {
+    throw invalid;
+  }
+
+  // Count the attempt before checking, so parallel guesses can't exceed the limit
+  const counted = await VerificationCode.findOneAndUpdate(
+    { _id: record._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    await VerificationCode.deleteOne({ _id: record._id });
+    throw new HttpError(400, "Too many incorrect attempts. Please request a new code.");
+  }
+
+  const expected = Buffer.from(record.codeHash, "hex");
+  const actual = Buffer.from(hashOtp(user._id, channel, code), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw invalid;
+  }
+
+  await VerificationCode.deleteOne({ _id: record._id });
+  // Only if the address hasn't changed since the code was sent
+  await User.updateOne(
+    { _id: user._id, [channel]: record.target },
+    { $set: { [VERIFIED_FIELDS[channel]]: true } }
+  );
+};
+
+// ===== NOTIFICATIONS =====
+
+// Every notification is stored in the user's in-app inbox; channels listed in
+// NOTIFICATION_CHANNELS (default "email", empty for inbox only) also get a
+// copy. Channels take (user, notification); add push etc. here.
+const notificationChannels = {
+  email: {
+    enabled: (user) => user.notificationPreferences.email !== false,
+    send: (user, notification) => sendEmail({
+      to: user.email,
+      subject: notification.title,
+      text: `Hi ${user.username},\n\n${notification.body}`
+    })
+  }
+};
+
+const NOTIFICATION_CHANNELS = (process.env.NOTIFICATION_CHANNELS !== undefined ? process.env.NOTIFICATION_CHANNELS : "email")
+  .split(",")
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Preference that opts a user out of each notification type
+const NOTIFICATION_PREFERENCES = { price_drop: "priceDrop", back_in_stock: "backInStock", abandoned_cart: "cartReminders" };
+
+// Deliver a notification unless the user opted out or already has one with
+// the same dedupeKey. Returns whether it was delivered.
+const notify = async (user, notification) => {
+  const preferences = user.notificationPreferences || {};
+  if (preferences[NOTIFICATION_PREFERENCES[notification.type]] === false) {
+    return false;
+  }
+
+  try {
+    await Notification.create({ userId: user._id, ...notification });
+  } catch (err) {
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+
+  // Other channels are best effort; the inbox copy is already saved
+  for (const name of NOTIFICATION_CHANNELS) {
+    const channel = notificationChannels[name];
+    if (!channel) {
+      console.error(`Unknown notification channel: ${name}`);
+      continue;
+    }
+    if (channel.enabled(user)) {
+      try {
+        await channel.send(user, notification);
+      } catch (err) {
+        console.error(`Notification ${name} error:`, err);
+      }
+    }
+  }
+  return true;
+};
+
+// Price and stock of each variant, taken before an admin change or a stock
+// release so notifyWishlistChanges can tell what changed
+const variantSnapshot = (product) => new Map(product.variants.map(variant => [
+  variant.SKU,
+  { price: getVariantPrice(variant), inStock: variant.inStock }
+]));
+
+// Tell users with a variant on their wishlist when its price drops below what
+// it was when they added it, or when it comes back in stock
+const notifyWishlistChanges = async (product, before) => {
+  for (const variant of product.variants) {
+    const previous = before.get(variant.SKU);
+    if (!previous) {
+      continue;
+    }
+    const price = getVariantPrice(variant);
+    const priceDropped = price < previous.price;
+    const restocked = !previous.inStock && variant.inStock;
+    if (!priceDropped && !restocked) {
+      continue;
+    }
+
+    const wishlists = await Wishlist.find({ 'items.SKU': variant.SKU }).select("userId items");
+    const users = await User.find({ _id: { $in: wishlists.map(wishlist => wishlist.userId) } })
+      .select("username email notificationPreferences");
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    for (const wishlist of wishlists) {
+      const user = usersById.get(wishlist.userId.toString());
+      const item = wishlist.items.find(entry => entry.SKU === variant.SKU);
+      if (!user || !item) {
+        continue;
+      }
+
+      // Only below the price the user saw, and once per new price
+      if (priceDropped && variant.inStock && price < item.price) {
+        await notify(user, {
+          type: 'price_drop',
+          title: `Price drop: ${product.productName}`,
+          body: `${product.productName} on your wishlist is now ₹${price} (was ₹${item.price} when you added it).`,
+          data: { productId: product._id, SKU: variant.SKU, previousPrice: item.price, price },
+          dedupeKey: `price_drop:${variant.SKU}:${price}`
+        });
+      }
+      // At most once a day per variant, in case stock flips back and forth
+      if (restocked) {
+        await notify(user, {
+          type: 'back_in_stock',
+          title: `Back in stock: ${product.productName}`,
+          body: `${product.productName} on your wishlist is back in stock.`,
+          data: { productId: product._id, SKU: variant.SKU, price },
+          dedupeKey: `back_in_stock:${variant.SKU}:${new Date().toISOString().slice(0, 10)}`
+        });
+      }
+    }
+  }
+};
+
+// Run notifyWishlistChanges without holding up the response
+const notifyWishlistChangesInBackground = (product, before) => {
+  notifyWishlistChanges(product, before).catch(err => {
+    console.error("Wishlist notification error:", err);
+  });
+};
+
+// notifyWishlistChangesInBackground for stock released by releaseStock, given
+// snapshots taken before the release by product _id
+const notifyRestocksInBackground = (snapshots) => {
+  Product.find({ _id: { $in: [...snapshots.keys()] } })
+    .then(products => products.forEach(product => {
+      notifyWishlistChangesInBackground(product, snapshots.get(product._id.toString()));
+    }))
+    .catch(err => {
+      console.error("Wishlist notification error:", err);
+    });
+};
+
+// ===== ABANDONED CARTS =====
+
+// A customer's cart counts as abandoned once it has had no changes for
+// idleHours. Reminders are capped at maxReminders per idle period, at least
+// intervalHours apart; changing the cart starts a new period.
+// Override with ABANDONED_CART='{"idleHours":6}'.
+const ABANDONED_CART = {
+  idleHours: 24,
+  maxReminders: 2,
+  intervalHours: 48,
+  batchSize: 200,
+  ...JSON.parse(process.env.ABANDONED_CART || "{}")
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Job: send reminders for abandoned carts. Guest carts have no contact, and
+// carts whose owner ordered since the last change are skipped.
+const remindAbandonedCarts = async (run) => {
+  const now = new Date();
+  const summary = { reminded: 0, skippedOrdered: 0, optedOut: 0 };
+
+  const carts = await Cart.find({
+    userId: { $exists: true },
+    'items.0': { $exists: true },
+    updatedAt: { $lt: new Date(now - ABANDONED_CART.idleHours * HOUR_MS) },
+    $and: [
+      {
+        $or: [
+          { lastReminderAt: null },
+          // Changed since the last reminder: a new idle period
+          { $expr: { $lt: ['$lastReminderAt', '$updatedAt'] } },
+          {
+            reminderCount: { $lt: ABANDONED_CART.maxReminders },
+            lastReminderAt: { $lt: new Date(now - ABANDONED_CART.intervalHours * HOUR_MS) }
+          }
+        ]
+      },
+      // Not already skipped in this idle period
+      {
+        $or: [
+          { remindersSkippedAt: null },
+          { $expr: { $lt: ['$remindersSkippedAt', '$updatedAt'] } }
+        ]
+      }
+    ]
+  }).sort({ updatedAt: 1 }).limit(ABANDONED_CART.batchSize);
+
+  for (const cart of carts) {
+    const ordered = await Order.exists({ userId: cart.userId, orderDate: { $gte: cart.updatedAt } });
+    if (ordered) {
+      // Remember it so later runs don't keep re-reading the cart
+      await Cart.updateOne({ _id: cart._id, updatedAt: cart.updatedAt }, { $set: { remindersSkippedAt: now } });
+      summary.skippedOrdered++;
+      run.touched.push({ cartId: cart._id, userId: cart.userId, action: 'skipped_ordered' });
+      continue;
+    }
+
+    // Claim this reminder, conditional on what we read, so an overlapping run
+    // (or a cart change) can't cause a second send
+    const newPeriod = !cart.lastReminderAt || cart.lastReminderAt < cart.updatedAt;
+    const reminderNumber = newPeriod ? 1 : cart.reminderCount + 1;
+    const claimed = await Cart.updateOne(
+      { _id: cart._id, updatedAt: cart.updatedAt, lastReminderAt: cart.lastReminderAt || null },
+      { $set: { reminderCount: reminderNumber, lastReminderAt: now } }
+    );
+    if (!claimed.modifiedCount) {
+      continue;
+    }
+
+    const user = await User.findById(cart.userId).select("username email notificationPreferences");
+    if (!user) {
+      continue;
+    }
+
+    const itemCount = cart.items.reduce((acc, item) => acc + item.quantity, 0);
+    const delivered = await notify(user, {
+      type: 'abandoned_cart',
+      title: "You left something in your cart",
+      body: `You have ${itemCount} item${itemCount === 1 ? "" : "s"} waiting in your cart, including ${cart.items[0].productName}. Complete your order before they sell out.`,
+      data: { cartId: cart._id },
+      dedupeKey: `abandoned_cart:${cart._id}:${cart.updatedAt.getTime()}:${reminderNumber}`
+    });
+
+    if (delivered) {
+      summary.reminded++;
+      run.touched.push({ cartId: cart._id, userId: cart.userId, action: 'reminded' });
+    } else {
+      summary.optedOut++;
+      run.touched.push({ cartId: cart._id, userId: cart.userId, action: 'opted_out' });
+    }
+  }
+
+  return summary;
+};
+
+// ===== SCHEDULER =====
+
+// In-process job scheduler. Every instance ticks, but only the one holding the
+// leader lease in Mongo runs jobs, so running several instances is safe. A job
+// runs when its last run started at least intervalMs ago.
+// Set JOBS_ENABLED=false to keep an instance out of scheduling.
+const JOBS = {
+  'abandoned-carts': {
+    intervalMs: parseInt(process.env.ABANDONED_CART_JOB_INTERVAL_MS) || HOUR_MS,
+    run: remindAbandonedCarts
+  },
+  'unpaid-order-expiry': {
+    intervalMs: PAYMENT_SWEEP_INTERVAL_MS,
+    run: expireUnpaidOrders
+  }
+};
+
+const SCHEDULER_TICK_MS = parseInt(process.env.SCHEDULER_TICK_MS) || 30 * 1000;
+// The lease outlives a few missed ticks before another instance takes over
+const SCHEDULER_LEASE_MS = parseInt(process.env.SCHEDULER_LEASE_MS) || 5 * 60 * 1000;
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+// Take or renew the leader lease; returns whether this instance holds it
+const acquireLeaderLease = async () => {
+  const now = new Date();
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { _id: 'scheduler', $or: [{ owner: INSTANCE_ID }, { lockedUntil: { $lt: now } }] },
+      { $set: { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + SCHEDULER_LEASE_MS) } },
+      { new: true, upsert: true }
+    );
+    return lock.owner === INSTANCE_ID;
+  } catch (err) {
+    // The lease is held by another instance (the upsert hit the existing document)
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+// Run one job and record the run, its outcome and what it touched
+const runJob = async (name) => {
+  const run = await JobRun.create({
+    job: name,
+    instance: INSTANCE_ID,
+    expiresAt: new Date(Date.now() + JOB_RUN_RETENTION_DAYS * 24 * HOUR_MS)
+  });
+
+  try {
+    run.summary = await JOBS[name].run(run);
+    run.status = 'succeeded';
+  } catch (err) {
+    console.error(`Job ${name} failed:`, err);
+    run.status = 'failed';
+    run.error = err.message;
+  }
+  run.finishedAt = new Date();
+  await run.save();
+  return run;
+};
+
+let schedulerBusy = false;
+
+const schedulerTick = async () => {
+  // A slow job shouldn't overlap itself on the next tick
+  if (schedulerBusy) {
+    return;
+  }
+  schedulerBusy = true;
+  try {
+    if (!await acquireLeaderLease()) {
+      return;
+    }
+    for (const [name, job] of Object.entries(JOBS)) {
+      const last = await JobRun.findOne({ job: name }).sort({ startedAt: -1 }).select("startedAt");
+      if (!last || Date.now() - last.startedAt.getTime() >= job.intervalMs) {
+        await runJob(name);
+      }
+    }
+  } finally {
+    schedulerBusy = false;
+  }
+};
+
+const startScheduler = () => {
+  if (process.env.JOBS_ENABLED === "false") {
+    return;
+  }
+  setInterval(() => {
+    schedulerTick().catch(err => console.error("Scheduler error:", err));
+  }, SCHEDULER_TICK_MS).unref();
+};
+
+// ===== ROUTES =====
+
+// Health Check Endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({ 
+    status: 'OK',
+    timestamp: new Date(),
     service: 'e-mart-backend'
   });
 });
 
-// ==== AUTH ROUTES ====
-
-// Register API
-app.post("/register", async (req, res) => {
+// Applies to every POST/DELETE route below
+app.use(idempotency);
+
+// ==== AUTH ROUTES ====
+
+// Someone tried to register with an email that already has an account
+const notifyExistingAccount = async (user) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: "You already have an E-Mart account",
+      text: `Hi ${user.username},\n\nSomeone tried to create an E-Mart account with this email address, but you already have one. You can log in, or reset your password if you've forgotten it.\n\nIf this wasn't you, you can ignore this email.`
+    });
+  } catch (err) {
+    console.error("Existing account email error:", err);
+  }
+};
+
+// A failed cart merge shouldn't fail the login or registration itself
+const mergeGuestCartSafely = async (userId, req) => {
+  try {
+    return await mergeGuestCart(userId, req.body.cartToken || req.header("X-Cart-Token"));
+  } catch (err) {
+    console.error("Guest cart merge error:", err);
+    return null;
+  }
+};
+
+// Register API
+// The response is the same whether or not the email is already registered, so
+// it can't be used to discover accounts; the owner of an existing account is
+// told by email instead. The customer ID and guest cart merge come with the
+// follow-up /login.
+app.post("/register", rateLimit('registerIp', byIp), rateLimit('registerAccount', byEmail), validate({
+  body: {
+    username: { type: 'string', required: true, minLength: 2, maxLength: 50 },
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    password: rules.password
+  }
+}), async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    const response = {
+      success: true,
+      message: "✅ Registration received! You can now log in."
+    };
+
+    // Hash password (before the existence check so both paths take as long)
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      await notifyExistingAccount(existingUser);
+      return res.status(201).json(response);
+    }
+
+    // Create new user with the next customer ID. An ID can still be taken if
+    // it was written outside the counter (e.g. by hand), so move on to the next.
+    let newUser;
+    for (let attempt = 1; !newUser; attempt++) {
+      const uniqueUserId = await nextSequenceId("customer");
+      const user = new User({
+        userId: uniqueUserId,
+        username,
+        email,
+        password: hashedPassword
+      });
+
+      try {
+        await user.save();
+        newUser = user;
+      } catch (err) {
+        // Registered concurrently by another request
+        if (err.code === 11000 && err.keyValue && err.keyValue.email) {
+          return res.status(201).json(response);
+        }
+        if (!(err.code === 11000 && err.keyValue && err.keyValue.userId && attempt < 5)) {
+          throw err;
+        }
+      }
+    }
+
+    // Start email verification; the user can ask for another code later
+    try {
+      await sendVerificationCode(newUser, "email");
+    } catch (err) {
+      console.error("Verification email error:", err);
+    }
+
+    res.status(201).json(response);
+
+  } catch (error) {
+    console.error("Registration error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "An error occurred during registration" 
+    });
+  }
+});
+
+// Login API
+app.post("/login", rateLimit('loginIp', byIp), rateLimit('loginAccount', byEmail), validate({
+  body: {
+    email: { type: 'string', required: true, maxLength: 254 },
+    password: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const locked = await loginLockedUntil(email);
+    if (locked) {
+      return sendTooManyRequests(res, locked, "Too many failed login attempts. Please try again later.");
+    }
+
+    // Find user and verify password; a missing account takes as long as a wrong password
+    const user = await User.findOne({ email });
+    const isMatch = await bcrypt.compare(password, user ? user.password : await dummyPasswordHash);
+    if (!user || !isMatch) {
+      const lockedUntil = await recordFailedLogin(email);
+      if (lockedUntil) {
+        return sendTooManyRequests(res, lockedUntil, "Too many failed login attempts. Please try again later.");
+      }
+      return res.status(400).json({ 
+        success: false, 
+        message: "Invalid email or password" 
+      });
+    }
+
+    await clearFailedLogins(email);
+
+    // Generate short-lived access token and a refresh token for this device
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    const cartMerge = await mergeGuestCartSafely(user._id, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        userId: user.userId,
+        username: user.username,
+        email: user.email,
+        mobile: user.mobile,
+        emailVerified: user.emailVerified,
+        mobileVerified: user.mobileVerified,
+        role: user.role
+      },
+      ...(cartMerge && { cartMerge })
+    });
+
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "An error occurred during login" 
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotation)
+app.post("/token/refresh", validate({
+  body: { refreshToken: { type: 'string', required: true } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const [sessionId] = refreshToken.split(".");
+    const session = mongoose.Types.ObjectId.isValid(sessionId) && await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Invalid refresh token" 
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    if (tokenHash !== session.refreshTokenHash) {
+      // An already-rotated token is being replayed: revoke the whole family
+      if (session.rotatedTokenHashes.includes(tokenHash)) {
+        session.revokedAt = new Date();
+        session.revokedReason = "refresh_token_reuse";
+        await session.save();
+      }
+      return res.status(401).json({ 
+        success: false, 
+        message: "Invalid refresh token" 
+      });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Invalid refresh token" 
+      });
+    }
+
+    // Rotate only if nobody else rotated this token concurrently
+    const newRefreshToken = generateRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        $set: { refreshTokenHash: hashToken(newRefreshToken), lastUsedAt: new Date() },
+        $push: { rotatedTokenHashes: tokenHash }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Invalid refresh token" 
+      });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, session._id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "An error occurred while refreshing the token" 
+    });
+  }
+});
+
+// Logout current session
+app.post("/logout", verifyToken, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sid, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+    );
+
+    res.json({
+      success: true,
+      message: "Logged out successfully"
+    });
+
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "An error occurred during logout" 
+    });
+  }
+});
+
+// Logout every session of the current user
+app.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id, "logout_all");
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "An error occurred during logout" 
+    });
+  }
+});
+
+// Request a password reset email
+app.post("/forgot-password", rateLimit('passwordResetIp', byIp), validate({
+  body: { email: { type: 'string', required: true, format: 'email' } }
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists
+    const response = {
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent"
+    };
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json(response);
+    }
+
+    // Only the most recent link stays valid
+    await PasswordReset.deleteMany({ userId: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await PasswordReset.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    const resetUrl = `${process.env.APP_URL || ""}/reset-password?token=${token}`;
+    await sendEmail({
+      to: user.email,
+      subject: "Reset your E-Mart password",
+      text: `Hi ${user.username},\n\nUse the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "An error occurred while requesting a password reset" 
+    });
+  }
+});
+
+// Reset password with an emailed token
+app.post("/reset-password", rateLimit('passwordResetIp', byIp), validate({
+  body: {
+    token: { type: 'string', required: true },
+    newPassword: rules.password
+  }
+}), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    // Claim the token atomically so it can only be used once
+    const reset = await PasswordReset.findOneAndUpdate(
+      { tokenHash: hashToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    if (!reset) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Reset link is invalid or has expired" 
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    const user = await User.findByIdAndUpdate(reset.userId, { $set: { password: hashedPassword } }, { select: "email" });
+    if (user) {
+      await clearFailedLogins(user.email);
+    }
+
+    // Log out every device that had the old password
+    await revokeAllSessions(reset.userId, "password_reset");
+
+    res.json({
+      success: true,
+      message: "✅ Password reset successfully. Please log in again."
+    });
+
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "An error occurred while resetting the password" 
+    });
+  }
+});
+
+// ==== USER ROUTES ====
+
+// Get User Profile
+app.get("/profile", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("-password");
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+    
+  } catch (error) {
+    console.error("Profile fetch error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching profile" 
+    });
+  }
+});
+
+// Change password for the logged-in user
+app.post("/change-password", verifyToken, validate({
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword: rules.password
+  }
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Current password is incorrect" 
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    await user.save();
+
+    // Keep this device signed in, log out the rest
+    await revokeAllSessions(user._id, "password_change", req.user.sid);
+
+    res.json({
+      success: true,
+      message: "✅ Password changed successfully!"
+    });
+
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error changing password" 
+    });
+  }
+});
+
+// List active sessions
+app.get("/profile/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select("device ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sid
+      }))
+    });
+
+  } catch (error) {
+    console.error("Sessions fetch error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching sessions" 
+    });
+  }
+});
+
+// Revoke a single session
+app.delete("/profile/sessions/:sessionId", verifyToken, validate({
+  params: { sessionId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+
+    const result = await Session.updateOne(
+      { _id: sessionId, userId: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "revoked_by_user" } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully"
+    });
+
+  } catch (error) {
+    console.error("Session revoke error:", error);
+    res.status(500).json({ success: false, message: "Error revoking session" });
+  }
+});
+
+// Update User Phone Number
+app.post("/add-phone", verifyToken, validate({
+  body: { mobile: { type: 'string', required: true, format: 'mobile' } }
+}), async (req, res) => {
+  try {
+    const { mobile } = req.body;
+
+    // Update user's mobile number; a new number has to be verified again
+    const user = await User.findById(req.user.id).select("-password");
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    // Send a code to a new number, as /register does for email. A code for the
+    // old number can't confirm the new one, and is kept so the resend wait still
+    // applies; if that holds this one back, POST /profile/verify/mobile sends it later.
+    let verificationSent = false;
+    const changed = user.mobile !== mobile;
+    if (changed) {
+      user.mobile = mobile;
+      user.mobileVerified = false;
+      await user.save();
+
+      try {
+        await sendVerificationCode(user, "mobile");
+        verificationSent = true;
+      } catch (err) {
+        if (!(err instanceof HttpError)) {
+          console.error("Verification SMS error:", err);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: verificationSent
+        ? "✅ Mobile number updated successfully! Verify it with the code we sent you."
+        : changed
+          ? "✅ Mobile number updated successfully! Request a verification code to verify it."
+          : "✅ Mobile number updated successfully!",
+      verificationSent,
+      user
+    });
+
+  } catch (error) {
+    console.error("Profile update error:", error);
+    res.status(500).json({ success: false, message: "Error updating profile" });
+  }
+});
+
+// ==== VERIFICATION ROUTES ====
+
+// Send a one-time code to the user's email or mobile number
+app.post("/profile/verify/:channel(email|mobile)", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    await sendVerificationCode(user, req.params.channel);
+
+    res.json({
+      success: true,
+      message: `Verification code sent. It expires in ${OTP_TTL_MINUTES} minutes.`
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      if (err.retryAt) {
+        return sendTooManyRequests(res, err.retryAt, err.message);
+      }
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error("Send verification code error:", err);
+    res.status(500).json({ success: false, message: "Error sending verification code" });
+  }
+});
+
+// Confirm the code sent to the user's email or mobile number
+app.post("/profile/verify/:channel(email|mobile)/confirm", verifyToken, validate({
+  body: { code: { type: 'string', required: true, format: 'otp' } }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    await confirmVerificationCode(user, req.params.channel, req.body.code);
+
+    res.json({
+      success: true,
+      message: `✅ ${req.params.channel === "email" ? "Email" : "Mobile number"} verified`
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error("Confirm verification code error:", err);
+    res.status(500).json({ success: false, message: "Error verifying code" });
+  }
+});
+
+// ==== ADDRESS BOOK ROUTES ====
+
+const ADDRESS_FIELDS = ['name', 'line1', 'line2', 'city', 'state', 'postalCode', 'country', 'phone'];
+
+// Exactly one default: the given address, or the first one if none is chosen
+const setDefaultAddress = (user, addressId) => {
+  const targetId = addressId || (user.addresses[0] && user.addresses[0]._id);
+  user.addresses.forEach(address => {
+    address.isDefault = Boolean(targetId) && address._id.equals(targetId);
+  });
+};
+
+// List addresses
+app.get("/profile/addresses", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("addresses");
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      addresses: user.addresses
+    });
+
+  } catch (error) {
+    console.error("Addresses fetch error:", error);
+    res.status(500).json({ success: false, message: "Error fetching addresses" });
+  }
+});
+
+// Add address
+app.post("/profile/addresses", verifyToken, validate({
+  body: { ...rules.address.fields, isDefault: { type: 'boolean' } }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const address = user.addresses.create(pickFields(req.body, ADDRESS_FIELDS));
+    user.addresses.push(address);
+    if (req.body.isDefault || user.addresses.length === 1) {
+      setDefaultAddress(user, address._id);
+    }
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "✅ Address added successfully!",
+      address,
+      addresses: user.addresses
+    });
+
+  } catch (error) {
+    handleSaveError(res, error, "Error adding address", subdocumentFieldPath("addresses"));
+  }
+});
+
+// Update address
+app.put("/profile/addresses/:addressId", verifyToken, validate({
+  params: { addressId: rules.objectId },
+  body: {
+    ...optionalFields(rules.address.fields),
+    isDefault: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, message: "Address not found" });
+    }
+
+    address.set(pickFields(req.body, ADDRESS_FIELDS));
+    if (req.body.isDefault) {
+      setDefaultAddress(user, address._id);
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "✅ Address updated successfully!",
+      address,
+      addresses: user.addresses
+    });
+
+  } catch (error) {
+    handleSaveError(res, error, "Error updating address", subdocumentFieldPath("addresses"));
+  }
+});
+
+// Make an address the default
+app.post("/profile/addresses/:addressId/default", verifyToken, validate({
+  params: { addressId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, message: "Address not found" });
+    }
+
+    setDefaultAddress(user, address._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "✅ Default address updated!",
+      addresses: user.addresses
+    });
+
+  } catch (error) {
+    handleSaveError(res, error, "Error updating default address");
+  }
+});
+
+// Delete address
+app.delete("/profile/addresses/:addressId", verifyToken, validate({
+  params: { addressId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, message: "Address not found" });
+    }
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+    if (wasDefault) {
+      setDefaultAddress(user);
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Address deleted successfully",
+      addresses: user.addresses
+    });
+
+  } catch (error) {
+    handleSaveError(res, error, "Error deleting address");
+  }
+});
+
+// ==== PRODUCT ROUTES ====
+// Public: anonymous callers get the catalogue; signed-in callers also get cart/wishlist flags
+app.get("/products", optionalAuth, validate({
+  query: {
+    q: { type: 'string', maxLength: 100 },
+    category: { type: 'string' },
+    inStock: { type: 'string', enum: ['true', 'false'] },
+    minPrice: { type: 'number', min: 0 },
+    maxPrice: { type: 'number', min: 0 },
+    minRating: { type: 'number', min: 1, max: 5 },
+    sort: { type: 'string', enum: Object.keys(PRODUCT_SORTS) },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const [{ products, total, nextCursor }, context] = await Promise.all([
+      listProducts(req.query),
+      loadShopperContext(req.user)
+    ]);
+    
+    // Return successful response with products
+    res.json({
+      success: true,
+      count: total,
+      products: products.map(product => shapeProduct(product, req.user, context)),
+      nextCursor
+    });
+    
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error("Products fetch error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching products" 
+    });
+  }
+});
+
+// Product detail (public)
+app.get("/products/:productId", optionalAuth, validate({
+  params: { productId: rules.productRef }
+}), async (req, res) => {
+  try {
+    const id = await normalizeProductId(req.params.productId);
+    const product = id && await Product.findById(id).lean();
+
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Product not found" 
+      });
+    }
+
+    const context = await loadShopperContext(req.user);
+
+    res.json({
+      success: true,
+      product: shapeProduct(product, req.user, context)
+    });
+
+  } catch (error) {
+    console.error("Product detail error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching product" 
+    });
+  }
+});
+
+// Category listing with product counts (public)
+app.get("/categories", async (req, res) => {
+  try {
+    const categories = await Product.aggregate([
+      {
+        $group: {
+          _id: '$category',
+          productCount: { $sum: 1 },
+          inStockCount: { $sum: { $cond: [{ $in: [true, '$variants.inStock'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      count: categories.length,
+      categories: categories.map(category => ({
+        category: category._id,
+        productCount: category.productCount,
+        inStockCount: category.inStockCount
+      }))
+    });
+
+  } catch (error) {
+    console.error("Categories fetch error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching categories" 
+    });
+  }
+});
+
+// ==== REVIEW ROUTES ====
+
+const reviewFields = {
+  rating: { type: 'integer', required: true, min: 1, max: 5 },
+  title: { type: 'string', maxLength: 150 },
+  body: { type: 'string', maxLength: 5000 },
+  imageUrls: {
+    type: 'array',
+    maxLength: 5,
+    items: { type: 'string', required: true, maxLength: 500, format: 'url' }
+  }
+};
+
+// Sends the error response for failures in the review routes
+const handleReviewError = (res, err, fallbackMessage) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// Find a review the current user wrote
+const findOwnReview = async (reviewId, userId) => {
+  const review = await Review.findOne({ _id: reviewId, userId });
+  if (!review) {
+    throw new HttpError(404, "Review not found");
+  }
+  return review;
+};
+
+// Published reviews for a product, with its rating summary
+app.get("/products/:productId/reviews", validate({
+  params: { productId: rules.productRef },
+  query: {
+    sort: { type: 'string', enum: Object.keys(REVIEW_SORTS) },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+  }
+}), async (req, res) => {
+  try {
+    const id = await normalizeProductId(req.params.productId);
+    const product = id && await Product.findById(id).select("ratingAverage ratingCount");
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+    const query = { productId: product._id, status: 'published' };
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(query)
+        .sort(REVIEW_SORTS[req.query.sort || 'newest'])
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query),
+      Review.aggregate([
+        { $match: query },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      rating: {
+        average: product.ratingAverage || 0,
+        count: product.ratingCount || 0,
+        // Number of reviews per star rating
+        distribution: [1, 2, 3, 4, 5].reduce((acc, stars) => {
+          const bucket = distribution.find(entry => entry._id === stars);
+          acc[stars] = bucket ? bucket.count : 0;
+          return acc;
+        }, {})
+      },
+      count: total,
+      page,
+      reviews: reviews.map(shapeReview)
+    });
+  } catch (err) {
+    handleReviewError(res, err, "Error fetching reviews");
+  }
+});
+
+// Review a product the user has received; one review per product
+app.post("/products/:productId/reviews", verifyToken, validate({
+  params: { productId: rules.productRef },
+  body: reviewFields
+}), async (req, res) => {
+  try {
+    const id = await normalizeProductId(req.params.productId);
+    const product = id && await Product.findById(id).select("_id");
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    if (!await hasReceivedProduct(req.user.id, product._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can review products from your delivered orders"
+      });
+    }
+
+    const { rating, title, body, imageUrls } = req.body;
+    let review;
+    try {
+      review = await Review.create({
+        productId: product._id,
+        userId: req.user.id,
+        username: req.user.username,
+        rating,
+        title,
+        body,
+        imageUrls
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "You have already reviewed this product; edit your review instead"
+        });
+      }
+      throw err;
+    }
+
+    await refreshProductRating(product._id);
+
+    res.status(201).json({
+      success: true,
+      message: "✅ Review posted",
+      review: shapeReview(review)
+    });
+  } catch (err) {
+    handleReviewError(res, err, "Error posting review");
+  }
+});
+
+// Edit the user's own review
+app.put("/reviews/:reviewId", verifyToken, validate({
+  params: { reviewId: rules.objectId },
+  body: { ...reviewFields, rating: { ...reviewFields.rating, required: false } }
+}), async (req, res) => {
+  try {
+    const review = await findOwnReview(req.params.reviewId, req.user.id);
+
+    ['rating', 'title', 'body', 'imageUrls'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+    review.updatedAt = Date.now();
+    await review.save();
+
+    await refreshProductRating(review.productId);
+
+    res.json({
+      success: true,
+      message: "✅ Review updated",
+      review: shapeReview(review)
+    });
+  } catch (err) {
+    handleReviewError(res, err, "Error updating review");
+  }
+});
+
+// Delete the user's own review
+app.delete("/reviews/:reviewId", verifyToken, validate({
+  params: { reviewId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const review = await findOwnReview(req.params.reviewId, req.user.id);
+
+    await Review.deleteOne({ _id: review._id });
+    await ReviewVote.deleteMany({ reviewId: review._id });
+    await refreshProductRating(review.productId);
+
+    res.json({ success: true, message: "Review deleted" });
+  } catch (err) {
+    handleReviewError(res, err, "Error deleting review");
+  }
+});
+
+// Mark a review as helpful (once per user), or take the vote back with DELETE
+app.post("/reviews/:reviewId/helpful", verifyToken, validate({
+  params: { reviewId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, status: 'published' });
+    if (!review) {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+    if (review.userId.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: "You can't vote on your own review" });
+    }
+
+    try {
+      await ReviewVote.create({ reviewId: review._id, userId: req.user.id });
+    } catch (err) {
+      // Already voted: nothing changes
+      if (err.code !== 11000) {
+        throw err;
+      }
+      return res.json({ success: true, helpfulCount: review.helpfulCount });
+    }
+
+    const updated = await Review.findByIdAndUpdate(review._id, { $inc: { helpfulCount: 1 } }, { new: true });
+    res.json({ success: true, helpfulCount: updated.helpfulCount });
+  } catch (err) {
+    handleReviewError(res, err, "Error recording vote");
+  }
+});
+
+app.delete("/reviews/:reviewId/helpful", verifyToken, validate({
+  params: { reviewId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const { deletedCount } = await ReviewVote.deleteOne({ reviewId: req.params.reviewId, userId: req.user.id });
+    const review = deletedCount
+      ? await Review.findByIdAndUpdate(req.params.reviewId, { $inc: { helpfulCount: -1 } }, { new: true })
+      : await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+
+    res.json({ success: true, helpfulCount: review.helpfulCount });
+  } catch (err) {
+    handleReviewError(res, err, "Error removing vote");
+  }
+});
+
+// Report a review to staff (once per user)
+app.post("/reviews/:reviewId/report", verifyToken, validate({
+  params: { reviewId: rules.objectId },
+  body: { reason: { type: 'string', required: true, maxLength: 500 } }
+}), async (req, res) => {
+  try {
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, 'reports.userId': { $ne: req.user.id } },
+      {
+        $push: { reports: { userId: req.user.id, reason: req.body.reason } },
+        $inc: { reportCount: 1 }
+      }
+    );
+    if (!review && !await Review.exists({ _id: req.params.reviewId })) {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+
+    res.json({ success: true, message: "Thanks, our team will take a look" });
+  } catch (err) {
+    handleReviewError(res, err, "Error reporting review");
+  }
+});
+
+// ==== ADMIN PRODUCT ROUTES ====
+
+const PRODUCT_FIELDS = ['productId', 'productName', 'category', 'description'];
+const VARIANT_FIELDS = ['SKU', 'dealerPrice', 'specialPrice', 'MRP', 'imageUrl', 'stockQuantity', 'weightGrams'];
+
+// Copy only whitelisted keys that are present in the body
+const pickFields = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+// Load a product by either ID form for admin routes
+const findProductForAdmin = async (productId) => {
+  const id = await normalizeProductId(productId);
+  return id ? Product.findById(id) : null;
+};
+
+// A SKU must be unique across the whole catalogue
+const skuTaken = (SKU) => Product.exists({ 'variants.SKU': SKU });
+
+const skuTakenResponse = (res, field, SKU) => sendValidationErrors(res, [
+  { field, code: 'duplicate', message: `SKU already exists: ${SKU}` }
+], 409);
+
+const variantRules = {
+  SKU: rules.SKU,
+  dealerPrice: { type: 'number', required: true, min: 0 },
+  specialPrice: { type: 'number', min: 0 },
+  MRP: { type: 'number', required: true, min: 0 },
+  imageUrl: { type: 'string', required: true, maxLength: 500 },
+  stockQuantity: { type: 'integer', min: 0 },
+  weightGrams: { type: 'number', min: 0 }
+};
+
+const productRules = {
+  productId: { type: 'string', required: true, maxLength: 64 },
+  productName: { type: 'string', required: true, maxLength: 200 },
+  category: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string', required: true, maxLength: 5000 }
+};
+
+// Create product
+app.post('/admin/products', verifyToken, requireRole('staff', 'admin'), validate({
+  body: {
+    ...productRules,
+    variants: { type: 'array', maxLength: 50, items: { type: 'object', required: true, fields: variantRules } }
+  }
+}), async (req, res) => {
+  try {
+    const product = new Product({
+      ...pickFields(req.body, PRODUCT_FIELDS),
+      variants: (req.body.variants || []).map(variant => pickFields(variant, VARIANT_FIELDS))
+    });
+
+    const skus = product.variants.map(variant => variant.SKU);
+    const repeated = skus.findIndex((SKU, index) => skus.indexOf(SKU) !== index);
+    if (repeated !== -1) {
+      return sendValidationErrors(res, [
+        { field: `body.variants[${repeated}].SKU`, code: 'duplicate', message: "Duplicate SKU in variants" }
+      ]);
+    }
+    for (const [index, SKU] of skus.entries()) {
+      if (await skuTaken(SKU)) {
+        return skuTakenResponse(res, `body.variants[${index}].SKU`, SKU);
+      }
+    }
+
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Product created successfully",
+      product
+    });
+  } catch (err) {
+    handleSaveError(res, err, "Error creating product");
+  }
+});
+
+// Update product details (variants are managed through their own routes)
+app.put('/admin/products/:productId', verifyToken, requireRole('staff', 'admin'), validate({
+  params: { productId: rules.productRef },
+  body: optionalFields(productRules)
+}), async (req, res) => {
+  try {
+    const product = await findProductForAdmin(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    product.set(pickFields(req.body, PRODUCT_FIELDS));
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Product updated successfully",
+      product
+    });
+  } catch (err) {
+    handleSaveError(res, err, "Error updating product");
+  }
+});
+
+// Delete product
+app.delete('/admin/products/:productId', verifyToken, requireRole('admin'), validate({
+  params: { productId: rules.productRef }
+}), async (req, res) => {
+  try {
+    const product = await findProductForAdmin(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    await product.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Product deleted successfully"
+    });
+  } catch (err) {
+    console.error("Delete product error:", err);
+    res.status(500).json({ success: false, message: "Error deleting product" });
+  }
+});
+
+// Add variant
+app.post('/admin/products/:productId/variants', verifyToken, requireRole('staff', 'admin'), validate({
+  params: { productId: rules.productRef },
+  body: variantRules
+}), async (req, res) => {
+  try {
+    const product = await findProductForAdmin(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const variant = pickFields(req.body, VARIANT_FIELDS);
+    if (variant.SKU && await skuTaken(variant.SKU)) {
+      return skuTakenResponse(res, 'body.SKU', variant.SKU);
+    }
+
+    product.variants.push(variant);
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Variant added successfully",
+      product
+    });
+  } catch (err) {
+    handleSaveError(res, err, "Error adding variant", subdocumentFieldPath("variants"));
+  }
+});
+
+// Update variant
+app.put('/admin/products/:productId/variants/:SKU', verifyToken, requireRole('staff', 'admin'), validate({
+  params: { productId: rules.productRef, SKU: rules.SKU },
+  body: optionalFields(variantRules)
+}), async (req, res) => {
+  try {
+    const product = await findProductForAdmin(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const variant = product.variants.find(v => v.SKU === req.params.SKU);
+    if (!variant) {
+      return res.status(404).json({ success: false, message: "Variant not found" });
+    }
+
+    const updates = pickFields(req.body, VARIANT_FIELDS);
+    if (updates.SKU && updates.SKU !== variant.SKU && await skuTaken(updates.SKU)) {
+      return skuTakenResponse(res, 'body.SKU', updates.SKU);
+    }
+
+    // Wishlist entries are matched by SKU, so a renamed variant isn't tracked
+    const before = variantSnapshot(product);
+    variant.set(updates);
+    await product.save();
+    notifyWishlistChangesInBackground(product, before);
+
+    res.status(200).json({
+      success: true,
+      message: "Variant updated successfully",
+      product
+    });
+  } catch (err) {
+    handleSaveError(res, err, "Error updating variant", subdocumentFieldPath("variants"));
+  }
+});
+
+// Delete variant
+app.delete('/admin/products/:productId/variants/:SKU', verifyToken, requireRole('staff', 'admin'), validate({
+  params: { productId: rules.productRef, SKU: rules.SKU }
+}), async (req, res) => {
+  try {
+    const product = await findProductForAdmin(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const variant = product.variants.find(v => v.SKU === req.params.SKU);
+    if (!variant) {
+      return res.status(404).json({ success: false, message: "Variant not found" });
+    }
+
+    variant.deleteOne();
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Variant deleted successfully",
+      product
+    });
+  } catch (err) {
+    handleSaveError(res, err, "Error deleting variant");
+  }
+});
+
+// ==== CART ROUTES ====
+
+// Add item to cart
+app.post('/add-to-cart', cartAuth, validate({
+  body: { SKU: rules.SKU, quantity: rules.quantity }
+}), async (req, res) => {
+  try {
+    const { SKU, quantity } = req.body;
+
+    // Price is always resolved server-side from the product variant
+    const pricing = await priceLineItems([{ SKU, quantity }]);
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+    const [line] = pricing.lines;
+
+    let cart = req.cartQuery && await Cart.findOne(req.cartQuery);
+    let cartToken;
+    if (!cart && req.user) {
+      cart = new Cart({ userId: req.user.id, items: [] });
+    } else if (!cart) {
+      // First item for a guest: start a cart and hand back its token
+      cartToken = crypto.randomBytes(32).toString("hex");
+      cart = new Cart({ guestTokenHash: hashToken(cartToken), items: [] });
+    }
+
+    // Each variant gets its own line; re-adding a SKU bumps its quantity
+    const existingItemIndex = findLineIndex(cart.items, { SKU: line.SKU });
+    if (existingItemIndex > -1) {
+      cart.items[existingItemIndex].quantity += quantity;
+      cart.items[existingItemIndex].price = line.unitPrice;
+      cart.items[existingItemIndex].productName = line.product.productName;
+      cart.items[existingItemIndex].imageUrl = line.variant.imageUrl;
+    } else {
+      cart.items.push({
+        productId: line.product._id,
+        SKU: line.SKU,
+        productName: line.product.productName,
+        imageUrl: line.variant.imageUrl,
+        quantity,
+        price: line.unitPrice
+      });
+    }
+
+    cart.updatedAt = Date.now();
+    await cart.save();
+    
+    res.status(200).json({
+      success: true,
+      message: "Item added to cart successfully",
+      pricing: formatPriceLine(line),
+      cart,
+      ...(cartToken && { cartToken })
+    });
+  } catch (err) {
+    console.error("Add to cart error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error adding item to cart"
+    });
+  }
+});
+
+// Retrieve cart items
+app.get('/get-cart', cartAuth, async (req, res) => {
+  try {
+    const cart = req.cartQuery && await Cart.findOne(req.cartQuery).populate('items.productId', '-variants.dealerPrice');
+    
+    if (!cart) {
+      return res.json({
+        success: true,
+        message: "Cart is empty",
+        cart: { userId: req.user ? req.user.id : null, items: [] }
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      cart
+    });
+  } catch (err) {
+    console.error("Get cart error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving cart"
+    });
+  }
+});
+
+// Update cart item quantity
+app.post('/update-cart', cartAuth, validate({
+  body: {
+    productId: { type: 'string' },
+    SKU: { type: 'string', maxLength: 64 },
+    quantity: { type: 'integer', required: true, min: 0, max: 100 }
+  }
+}), async (req, res) => {
+  try {
+    const { productId, SKU, quantity } = req.body;
+
+    if ((!productId && !SKU) || quantity === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Product ID or SKU, and quantity are required"
+      });
+    }
+
+    const cart = req.cartQuery && await Cart.findOne(req.cartQuery);
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found"
+      });
+    }
+
+    const itemIndex = findLineIndex(cart.items, {
+      productId: await normalizeProductId(productId),
+      SKU
+    });
+    if (itemIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in cart"
+      });
+    }
+
+    if (quantity <= 0) {
+      // Remove item if quantity is 0 or negative
+      cart.items.splice(itemIndex, 1);
+    } else {
+      // Update quantity
+      cart.items[itemIndex].quantity = quantity;
+    }
+
+    cart.updatedAt = Date.now();
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cart updated successfully",
+      cart
+    });
+  } catch (err) {
+    console.error("Update cart error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error updating cart"
+    });
+  }
+});
+
+// Remove item from cart
+app.delete('/remove-from-cart/:productId', cartAuth, validate({
+  params: { productId: rules.productRef },
+  query: { SKU: { ...rules.SKU, required: false } }
+}), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { SKU } = req.query;
+
+    const cart = req.cartQuery && await Cart.findOne(req.cartQuery);
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found"
+      });
+    }
+
+    // ?SKU= targets one variant line of the product
+    const itemIndex = findLineIndex(cart.items, {
+      productId: await normalizeProductId(productId),
+      SKU
+    });
+    if (itemIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in cart"
+      });
+    }
+
+    cart.items.splice(itemIndex, 1);
+    cart.updatedAt = Date.now();
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Item removed from cart successfully",
+      cart
+    });
+  } catch (err) {
+    console.error("Remove from cart error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error removing item from cart"
+    });
+  }
+});
+
+// Clear cart
+app.delete('/clear-cart', cartAuth, async (req, res) => {
+  try {
+    const cart = req.cartQuery && await Cart.findOne(req.cartQuery);
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found"
+      });
+    }
+
+    cart.items = [];
+    cart.updatedAt = Date.now();
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared successfully",
+      cart
+    });
+  } catch (err) {
+    console.error("Clear cart error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error clearing cart"
+    });
+  }
+});
+
+// Apply a coupon to the cart and preview the discount
+app.post('/cart/apply-coupon', cartAuth, validate({
+  body: { code: { type: 'string', required: true, maxLength: 40 } }
+}), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const cart = req.cartQuery && await Cart.findOne(req.cartQuery);
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty"
+      });
+    }
+
+    const pricing = await priceLineItems(cart.items.map(item => ({ SKU: item.SKU, quantity: item.quantity })));
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+
+    // Per-user limits are only checked for signed-in users; guests are checked at checkout
+    const { coupon, discount } = await evaluateCoupon(code, pricing.lines, req.user && req.user.id);
+
+    cart.couponCode = coupon.code;
+    cart.updatedAt = Date.now();
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon applied successfully",
+      discounts: [discount],
+      subtotal: pricing.totalPrice,
+      totalPrice: roundMoney(pricing.totalPrice - discount.amount),
+      cart
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error("Apply coupon error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error applying coupon"
+    });
+  }
+});
+
+// Remove the coupon from the cart
+app.delete('/cart/coupon', cartAuth, async (req, res) => {
+  try {
+    const cart = req.cartQuery && await Cart.findOne(req.cartQuery);
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found"
+      });
+    }
+
+    cart.couponCode = undefined;
+    cart.updatedAt = Date.now();
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon removed successfully",
+      cart
+    });
+  } catch (err) {
+    console.error("Remove coupon error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error removing coupon"
+    });
+  }
+});
+
+// ==== WISHLIST ROUTES ====
+
+// Add item to wishlist
+app.post('/add-to-wishlist', verifyToken, validate({
+  body: { SKU: rules.SKU }
+}), async (req, res) => {
+  try {
+    const { SKU } = req.body;
+    const userId = req.user.id;
+
+    const match = await findVariantBySKU(SKU);
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown product variant: ${SKU}`
+      });
+    }
+    const { product, variant } = match;
+
+    let wishlist = await Wishlist.findOne({ userId });
+    if (!wishlist) {
+      wishlist = new Wishlist({ userId, items: [] });
+    }
+
+    if (findLineIndex(wishlist.items, { SKU }) === -1) {
+      wishlist.items.push({
+        productId: product._id,
+        SKU: variant.SKU,
+        productName: product.productName,
+        imageUrl: variant.imageUrl,
+        price: getVariantPrice(variant),
+        addedAt: Date.now()
+      });
+      await wishlist.save();
+      
+      res.status(200).json({
+        success: true,
+        message: "Item added to wishlist",
+        wishlist
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: "Item already in wishlist"
+      });
+    }
+  } catch (err) {
+    console.error("Add to wishlist error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error adding item to wishlist"
+    });
+  }
+});
+
+// Retrieve wishlist items
+app.get('/get-wishlist', verifyToken, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user.id }).populate('items.productId', '-variants.dealerPrice');
+    
+    if (!wishlist) {
+      return res.json({
+        success: true,
+        message: "Wishlist is empty",
+        wishlist: { userId: req.user.id, items: [] }
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      wishlist
+    });
+  } catch (err) {
+    console.error("Get wishlist error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving wishlist"
+    });
+  }
+});
+
+// Remove item from wishlist
+app.delete('/remove-from-wishlist/:productId', verifyToken, validate({
+  params: { productId: rules.productRef },
+  query: { SKU: { ...rules.SKU, required: false } }
+}), async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { productId } = req.params;
+    const { SKU } = req.query;
+    const userId = req.user.id;
 
-    // Validate input
-    if (!username || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Please provide all required fields" 
+    const wishlist = await Wishlist.findOne({ userId });
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: "Wishlist not found"
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "User with this email already exists" 
+    const itemIndex = findLineIndex(wishlist.items, {
+      productId: await normalizeProductId(productId),
+      SKU
+    });
+    if (itemIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in wishlist"
       });
     }
 
-    // Generate unique user ID
-    const lastUser = await User.findOne().sort({ userId: -1 }); // Get the last user by userId
-    let newUserId = 10001; // Start from 10001
+    wishlist.items.splice(itemIndex, 1);
+    await wishlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Item removed from wishlist successfully",
+      wishlist
+    });
+  } catch (err) {
+    console.error("Remove from wishlist error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error removing item from wishlist"
+    });
+  }
+});
+
+// Clear wishlist
+app.delete('/clear-wishlist', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
     
-    if (lastUser && lastUser.userId) {
-      const lastUserIdNumber = parseInt(lastUser.userId.replace("EGM-CUST-", ""));
-      newUserId = lastUserIdNumber + 1;
+    const wishlist = await Wishlist.findOne({ userId });
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: "Wishlist not found"
+      });
     }
 
-    const uniqueUserId = `EGM-CUST-${newUserId}`;
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
+    wishlist.items = [];
+    await wishlist.save();
 
-    // Create new user
-    const newUser = new User({
-      userId: uniqueUserId,
-      username,
-      email,
-      password: hashedPassword
+    res.status(200).json({
+      success: true,
+      message: "Wishlist cleared successfully",
+      wishlist
+    });
+  } catch (err) {
+    console.error("Clear wishlist error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error clearing wishlist"
     });
+  }
+});
 
-    await newUser.save();
+// ==== NOTIFICATION ROUTES ====
 
-    res.status(201).json({
+// The user's inbox, newest first; ?unread=true for unread only
+app.get('/notifications', verifyToken, validate({
+  query: {
+    unread: { type: 'boolean' },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+  }
+}), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const query = { userId };
+    if (req.query.unread) {
+      query.readAt = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(req.query.limit || DEFAULT_PAGE_SIZE),
+      Notification.countDocuments({ userId, readAt: null })
+    ]);
+
+    res.status(200).json({
       success: true,
-      message: "✅ User registered successfully!",
-      userId: uniqueUserId
+      unreadCount,
+      notifications
     });
-
-  } catch (error) {
-    console.error("Registration error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "An error occurred during registration" 
+  } catch (err) {
+    console.error("Get notifications error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving notifications"
     });
   }
 });
 
-// Login API
-app.post("/login", async (req, res) => {
+// Mark every notification read
+app.post('/notifications/read-all', verifyToken, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { modifiedCount } = await Notification.updateMany(
+      { userId: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Please provide email and password" 
+    res.status(200).json({
+      success: true,
+      updated: modifiedCount
+    });
+  } catch (err) {
+    console.error("Read all notifications error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notifications"
+    });
+  }
+});
+
+// Mark one notification read or unread
+app.post('/notifications/:notificationId/:action(read|unread)', verifyToken, validate({
+  params: { notificationId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, userId: req.user.id },
+      req.params.action === 'read' ? { $set: { readAt: new Date() } } : { $unset: { readAt: 1 } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
       });
     }
 
-    // Find user
-    const user = await User.findOne({ email });
+    res.status(200).json({
+      success: true,
+      notification
+    });
+  } catch (err) {
+    console.error("Update notification error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification"
+    });
+  }
+});
+
+// Notification opt-outs
+app.get('/profile/notification-preferences', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("notificationPreferences");
     if (!user) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Invalid email or password" 
-      });
+      return res.status(404).json({ success: false, message: "User not found" });
     }
 
-    // Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Invalid email or password" 
-      });
-    }
+    res.status(200).json({
+      success: true,
+      preferences: user.notificationPreferences
+    });
+  } catch (err) {
+    console.error("Get notification preferences error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving notification preferences"
+    });
+  }
+});
 
-    // Generate JWT Token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, username: user.username },
-      JWT_SECRET,
-      { expiresIn: "24h" }
+app.put('/profile/notification-preferences', verifyToken, validate({
+  body: {
+    priceDrop: { type: 'boolean' },
+    backInStock: { type: 'boolean' },
+    cartReminders: { type: 'boolean' },
+    email: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const updates = {};
+    ['priceDrop', 'backInStock', 'cartReminders', 'email'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[`notificationPreferences.${field}`] = req.body[field];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: updates },
+      { new: true, select: "notificationPreferences" }
     );
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
 
-    res.json({
+    res.status(200).json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        userId: user.userId,
-        username: user.username,
-        email: user.email,
-        mobile: user.mobile
-      }
+      message: "Notification preferences updated",
+      preferences: user.notificationPreferences
     });
-
-  } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "An error occurred during login" 
+  } catch (err) {
+    console.error("Update notification preferences error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification preferences"
     });
   }
 });
 
-// ==== USER ROUTES ====
+// ==== ORDER ROUTES ====
 
-// Get User Profile
-app.get("/profile", verifyToken, async (req, res) => {
+// Pick the address an order ships to. Saved addresses are copied so later
+// edits to the address book don't rewrite order history.
+const resolveShippingAddress = async (userId, { addressId, shippingAddress }) => {
+  if (shippingAddress !== undefined && (typeof shippingAddress !== 'object' || shippingAddress === null)) {
+    throw new HttpError(400, "shippingAddress must be an address object");
+  }
+  if (shippingAddress) {
+    return pickFields(shippingAddress, ADDRESS_FIELDS);
+  }
+
+  const user = await User.findById(userId).select("addresses");
+  const addresses = user ? user.addresses : [];
+  const saved = addressId
+    ? addresses.find(address => address._id.toString() === String(addressId))
+    : addresses.find(address => address.isDefault);
+  if (!saved) {
+    throw new HttpError(400, addressId ? "Address not found" : "Please provide a shipping address");
+  }
+
+  return pickFields(saved.toObject(), ADDRESS_FIELDS);
+};
+
+// Errors from a saved address are reported against the addressId that picked it
+const orderFieldPath = (req) => (path) =>
+  path.startsWith('shippingAddress.') && !req.body.shippingAddress ? 'body.addressId' : bodyFieldPath(path);
+
+// Check the address against the order's address schema (e.g. an IN PIN code),
+// so a quote isn't given for an address the order would reject
+const validateShippingAddress = (address) => new Order({ shippingAddress: address }).validateSync(['shippingAddress']);
+
+// Quote the current cart for a shipping address
+app.post('/checkout/quote', verifyToken, validate({
+  body: {
+    addressId: { type: 'objectId' },
+    shippingAddress: rules.address,
+    couponCode: { type: 'string', maxLength: 40 }
+  }
+}), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("-password");
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "User not found" 
+    const { addressId, shippingAddress, couponCode } = req.body;
+    const userId = req.user.id;
+
+    const cart = await Cart.findOne({ userId });
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty"
       });
     }
 
-    res.json({
+    const address = await resolveShippingAddress(userId, { addressId, shippingAddress });
+    const addressError = validateShippingAddress(address);
+    if (addressError) {
+      return handleSaveError(res, addressError, "Error preparing checkout quote", orderFieldPath(req));
+    }
+
+    const { quote } = await buildCheckoutQuote({
+      items: cart.items.map(item => ({ SKU: item.SKU, quantity: item.quantity })),
+      address,
+      couponCode: couponCode || cart.couponCode,
+      userId
+    });
+
+    res.status(200).json({
       success: true,
-      user
+      quote,
+      shippingAddress: address
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error("Checkout quote error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error preparing checkout quote"
+    });
+  }
+});
+
+// Place an order
+app.post('/place-order', verifyToken, validate({
+  body: {
+    items: {
+      type: 'array',
+      minLength: 1,
+      maxLength: 50,
+      items: { type: 'object', required: true, fields: { SKU: rules.SKU, quantity: rules.quantity } }
+    },
+    addressId: { type: 'objectId' },
+    shippingAddress: rules.address,
+    billingAddress: rules.address,
+    couponCode: { type: 'string', maxLength: 40 }
+  }
+}), async (req, res) => {
+  try {
+    const { addressId, shippingAddress, billingAddress, couponCode } = req.body;
+    const userId = req.user.id;
+
+    if (REQUIRE_VERIFIED_CONTACT !== "none") {
+      const user = await User.findById(userId).select("emailVerified mobileVerified");
+      if (!user || !hasVerifiedContact(user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your contact details before placing an order",
+          requiredVerification: REQUIRE_VERIFIED_CONTACT
+        });
+      }
+    }
+
+    // Order the given items, or the whole cart when none are sent
+    const cart = await Cart.findOne({ userId });
+    const items = req.body.items || (cart ? cart.items.map(item => ({ SKU: item.SKU, quantity: item.quantity })) : []);
+
+    if (!items.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Order items are required"
+      });
+    }
+
+    // Ship to a saved address, an inline address, or the default address
+    const address = await resolveShippingAddress(userId, { addressId, shippingAddress });
+
+    // Prices, discounts, tax and shipping are all resolved server-side
+    // (coupon from the request, otherwise the one applied to the cart)
+    const { lines, applied, quote } = await buildCheckoutQuote({
+      items,
+      address,
+      couponCode: couponCode || (cart && cart.couponCode),
+      userId
     });
+
+    // Numbers are taken outside the transaction, so a failed order leaves a gap
+    const order = new Order({
+      orderNumber: await nextSequenceId("order"),
+      userId,
+      items: lines.map(line => ({
+        productId: line.product._id,
+        SKU: line.SKU,
+        productName: line.product.productName,
+        imageUrl: line.variant.imageUrl,
+        quantity: line.quantity,
+        price: line.unitPrice,
+        discount: line.discount,
+        taxableValue: line.taxableValue,
+        taxRate: line.taxRate,
+        tax: line.tax
+      })),
+      subtotal: quote.subtotal,
+      couponCode: applied ? applied.coupon.code : undefined,
+      discounts: quote.discounts,
+      discountTotal: quote.discountTotal,
+      tax: quote.tax,
+      pricesIncludeTax: quote.pricesIncludeTax,
+      shipping: quote.shipping,
+      totalPrice: quote.grandTotal,
+      shippingAddress: address,
+      billingAddress: billingAddress ? pickFields(billingAddress, ADDRESS_FIELDS) : address,
+      status: 'pending',
+      statusHistory: [statusHistoryEntry('pending', undefined, req.user)],
+      paymentStatus: 'unpaid',
+      paymentExpiresAt: new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000)
+    });
+
+    const validationError = order.validateSync();
+    if (validationError) {
+      return handleSaveError(res, validationError, "Error placing order", orderFieldPath(req));
+    }
     
-  } catch (error) {
-    console.error("Profile fetch error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Error fetching profile" 
+    // Stock, order and cart change together or not at all
+    await runInTransaction(async (session) => {
+      await reserveStock(lines, session);
+      if (applied) {
+        await redeemCoupon(applied.coupon, userId, session);
+      }
+      await order.save({ session });
+
+      // Optionally clear the cart after placing order
+      await Cart.findOneAndUpdate(
+        { userId },
+        { $set: { items: [], updatedAt: Date.now() }, $unset: { couponCode: 1 } },
+        { session }
+      );
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Order placed successfully",
+      pricing: quote,
+      order
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error("Place order error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error placing order"
     });
   }
 });
 
-// Update User Phone Number
-app.post("/add-phone", verifyToken, async (req, res) => {
+// Get user's orders
+app.get('/get-orders', verifyToken, async (req, res) => {
   try {
-    const { mobile } = req.body;
-
-    // Update user's mobile number
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user.id,
-      { mobile },
-      { new: true, select: "-password" } // Exclude password from response
-    );
-
-    if (!updatedUser) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
-
-    res.json({
+    const orders = await Order.find({ userId: req.user.id })
+      .populate('items.productId', '-variants.dealerPrice')
+      .sort({ orderDate: -1 }); // Most recent orders first
+    
+    res.status(200).json({
       success: true,
-      message: "✅ Mobile number updated successfully!",
-      user: updatedUser
+      orders
+    });
+  } catch (err) {
+    console.error("Get orders error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving orders"
     });
-
-  } catch (error) {
-    console.error("Profile update error:", error);
-    res.status(500).json({ success: false, message: "Error updating profile" });
   }
 });
 
-// ==== PRODUCT ROUTES ====
-app.get("/products", verifyToken, async (req, res) => {
+// Get order details
+app.get('/order/:orderId', verifyToken, validate({
+  params: { orderId: rules.objectId }
+}), async (req, res) => {
   try {
-    // Get query parameters for filtering
-    const { category, inStock } = req.query;
-    
-    // Build query object
-    const query = {};
-    
-    // Add filters if provided
-    if (category) {
-      query.category = category;
-    }
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    const order = await Order.findOne({ _id: orderId, userId })
+      .populate('items.productId', '-variants.dealerPrice');
     
-    if (inStock === 'true') {
-      query['variants.inStock'] = true;
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
     }
-
-    // Fetch products based on query
-    const products = await Product.find(query);
     
-    // Return successful response with products
-    res.json({
+    res.status(200).json({
       success: true,
-      count: products.length,
-      products
+      order,
+      timeline: orderTimeline(order)
     });
-    
-  } catch (error) {
-    console.error("Products fetch error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Error fetching products" 
+  } catch (err) {
+    console.error("Get order details error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving order details"
     });
   }
 });
 
+// Send an invoice as JSON or as a PDF download
+const sendInvoice = (res, invoice, format) => {
+  if (format === 'pdf') {
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoice.invoiceNumber}.pdf"`
+    });
+    return res.send(renderInvoicePdf(invoice));
+  }
+  res.status(200).json({ success: true, invoice });
+};
 
+const invoiceValidation = validate({
+  params: { orderId: rules.objectId },
+  query: { format: { type: 'string', enum: ['json', 'pdf'] } }
+});
 
-// ==== CART ROUTES ====
-
-// Add item to cart
-app.post('/add-to-cart', verifyToken, async (req, res) => {
+// Download the invoice for an order (issued once it ships); ?format=pdf for a PDF
+app.get('/orders/:orderId/invoice', verifyToken, invoiceValidation, async (req, res) => {
   try {
-    const { productId, quantity, price } = req.body;
-    const userId = req.user.id;
-
-    if (!productId || !quantity || !price) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Product ID, quantity, and price are required" 
+    const invoice = await Invoice.findOne({ orderId: req.params.orderId, userId: req.user.id });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "No invoice for this order yet"
       });
     }
 
-    let cart = await Cart.findOne({ userId });
-    if (!cart) {
-      cart = new Cart({ userId, items: [] });
-    }
-
-    // Check if the product already exists in the cart
-    const existingItemIndex = cart.items.findIndex(item => item.productId.toString() === productId);
-    if (existingItemIndex > -1) {
-      cart.items[existingItemIndex].quantity += quantity;
-    } else {
-      cart.items.push({ productId, quantity, price });
-    }
-
-    cart.updatedAt = Date.now();
-    await cart.save();
-    
-    res.status(200).json({
-      success: true,
-      message: "Item added to cart successfully",
-      cart
-    });
+    sendInvoice(res, invoice, req.query.format);
   } catch (err) {
-    console.error("Add to cart error:", err);
+    console.error("Get invoice error:", err);
     res.status(500).json({
       success: false,
-      message: "Error adding item to cart"
+      message: "Error retrieving invoice"
     });
   }
 });
 
-// Retrieve cart items
-app.get('/get-cart', verifyToken, async (req, res) => {
+// Cancel order
+app.post('/cancel-order/:orderId', verifyToken, validate({
+  params: { orderId: rules.objectId },
+  body: { reason: { type: 'string', maxLength: 500 } }
+}), async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user.id }).populate('items.productId');
-    
-    if (!cart) {
-      return res.json({
-        success: true,
-        message: "Cart is empty",
-        cart: { userId: req.user.id, items: [] }
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
       });
     }
-    
+
+    // Only allow cancellation if order is pending or processing
+    if (order.status !== 'pending' && order.status !== 'processing') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel order in ${order.status} status`
+      });
+    }
+
+    let cancelledOrder = await transitionOrderStatus(orderId, 'cancelled', {
+      user: req.user,
+      note: req.body && req.body.reason,
+      filter: { userId }
+    });
+    cancelledOrder = await refundCancelledOrder(cancelledOrder, req.user);
+
     res.status(200).json({
       success: true,
-      cart
+      message: "Order cancelled successfully",
+      order: cancelledOrder
     });
   } catch (err) {
-    console.error("Get cart error:", err);
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error("Cancel order error:", err);
     res.status(500).json({
       success: false,
-      message: "Error retrieving cart"
+      message: "Error cancelling order"
     });
   }
 });
 
-// Update cart item quantity
-app.post('/update-cart', verifyToken, async (req, res) => {
+// ==== PAYMENT ROUTES ====
+
+// Start (or resume) payment for a pending order
+app.post('/orders/:orderId/pay', verifyToken, validate({
+  params: { orderId: rules.objectId }
+}), async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { orderId } = req.params;
     const userId = req.user.id;
 
-    if (!productId || quantity === undefined) {
-      return res.status(400).json({
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: "Product ID and quantity are required"
+        message: "Order not found"
       });
     }
 
-    const cart = await Cart.findOne({ userId });
-    if (!cart) {
-      return res.status(404).json({
+    if (order.status !== 'pending' || order.paymentStatus !== 'unpaid') {
+      return res.status(400).json({
         success: false,
-        message: "Cart not found"
+        message: "This order is not awaiting payment"
       });
     }
 
-    const itemIndex = cart.items.findIndex(item => item.productId.toString() === productId);
-    if (itemIndex === -1) {
-      return res.status(404).json({
+    if (order.paymentExpiresAt && order.paymentExpiresAt < new Date()) {
+      return res.status(400).json({
         success: false,
-        message: "Item not found in cart"
+        message: "The payment window for this order has closed"
       });
     }
 
-    if (quantity <= 0) {
-      // Remove item if quantity is 0 or negative
-      cart.items.splice(itemIndex, 1);
-    } else {
-      // Update quantity
-      cart.items[itemIndex].quantity = quantity;
+    // Resume the payment already started for this order, so a retry can't
+    // leave the customer with two intents to pay
+    const existing = await Payment.findOne({
+      orderId: order._id,
+      provider: PAYMENT_PROVIDER,
+      status: 'created',
+      amount: order.totalPrice,
+      clientData: { $exists: true }
+    }).sort({ createdAt: -1 });
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        payment: {
+          id: existing._id,
+          provider: existing.provider,
+          providerPaymentId: existing.providerPaymentId,
+          amount: existing.amount,
+          currency: existing.currency,
+          expiresAt: order.paymentExpiresAt,
+          ...existing.clientData
+        }
+      });
     }
 
-    cart.updatedAt = Date.now();
-    await cart.save();
+    const provider = paymentProviders[PAYMENT_PROVIDER];
+    if (!provider) {
+      throw new Error(`Unknown payment provider: ${PAYMENT_PROVIDER}`);
+    }
 
-    res.status(200).json({
+    // Any other open payment for the order (another provider, or started
+    // before clientData was stored) is replaced by the new one
+    await Payment.updateMany({ orderId: order._id, status: 'created' }, { $set: { status: 'expired', updatedAt: Date.now() } });
+
+    const { providerPaymentId, clientData } = await provider.createPayment({
+      amount: order.totalPrice,
+      currency: PAYMENT_CURRENCY,
+      receipt: order._id.toString()
+    });
+
+    const payment = await Payment.create({
+      orderId: order._id,
+      userId,
+      provider: PAYMENT_PROVIDER,
+      providerPaymentId,
+      clientData,
+      amount: order.totalPrice,
+      currency: PAYMENT_CURRENCY
+    });
+
+    res.status(201).json({
       success: true,
-      message: "Cart updated successfully",
-      cart
+      payment: {
+        id: payment._id,
+        provider: payment.provider,
+        providerPaymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        expiresAt: order.paymentExpiresAt,
+        ...clientData
+      }
     });
   } catch (err) {
-    console.error("Update cart error:", err);
+    console.error("Create payment error:", err);
     res.status(500).json({
       success: false,
-      message: "Error updating cart"
+      message: "Error starting payment"
     });
   }
 });
 
-// Remove item from cart
-app.delete('/remove-from-cart/:productId', verifyToken, async (req, res) => {
+// Provider webhooks. Signatures are checked against the raw body, and each
+// event ID is processed once: the event is recorded in the same transaction
+// that applies it, so a retry after a failure is processed again.
+app.post('/webhooks/payments/:provider', async (req, res) => {
+  const providerName = req.params.provider;
+  const provider = Object.prototype.hasOwnProperty.call(paymentProviders, providerName) && paymentProviders[providerName];
+  if (!provider) {
+    return res.status(404).json({ success: false, message: "Unknown payment provider" });
+  }
+
+  if (!provider.verifyWebhook(req)) {
+    return res.status(401).json({ success: false, message: "Invalid signature" });
+  }
+
+  const event = provider.parseWebhook(req);
+  if (!event.eventId) {
+    return res.status(400).json({ success: false, message: "Missing event ID" });
+  }
+
   try {
-    const { productId } = req.params;
+    await runInTransaction(async (session) => {
+      await WebhookEvent.create([{ provider: providerName, eventId: event.eventId, type: event.type }], { session });
+      await applyPaymentEvent(providerName, event, session);
+    });
+
+    res.status(200).json({ success: true });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(200).json({ success: true, message: "Event already processed" });
+    }
+    console.error("Payment webhook error:", err);
+    res.status(500).json({ success: false, message: "Error processing webhook" });
+  }
+});
+
+// ==== RETURN ROUTES ====
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Allowed return request transitions
+const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+// When an order was delivered, from its status history
+const deliveredAt = (order) => {
+  const entry = order.statusHistory.find(history => history.status === 'delivered');
+  return entry ? entry.at : null;
+};
+
+// Amount paid per unit of an order line after its share of discounts
+// (plus tax when prices were tax-exclusive)
+const paidPerUnit = (item, order) => {
+  const lineTotal = item.price * item.quantity - (item.discount || 0) +
+    (order.pricesIncludeTax === false && item.tax ? item.tax.total : 0);
+  return lineTotal / item.quantity;
+};
+
+// Apply a status change to a return request, recording who made it.
+// Pass session to join a running transaction.
+const transitionReturn = async (returnId, status, user, note, session) => {
+  const returnRequest = await ReturnRequest.findById(returnId).session(session);
+  if (!returnRequest) {
+    throw new HttpError(404, "Return request not found");
+  }
+  if (!RETURN_STATUS_TRANSITIONS[returnRequest.status].includes(status)) {
+    throw new HttpError(400, `Cannot move return from ${returnRequest.status} to ${status}`);
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnId, status: returnRequest.status },
+    {
+      $set: { status, updatedAt: Date.now() },
+      $push: { history: { status, actor: user.id, actorRole: user.role, note, at: new Date() } }
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new HttpError(409, "Return status changed, please retry");
+  }
+  return updated;
+};
+
+// Refund a received return against its order
+const refundReturn = async (returnRequest, user) => {
+  const amount = returnRequest.items.reduce((acc, item) => acc + item.refundAmount, 0);
+  const order = await issueRefund(returnRequest.orderId, amount, {
+    reason: `Return: ${returnRequest.reason}`,
+    returnId: returnRequest._id,
+    user
+  });
+  const refundedReturn = await transitionReturn(returnRequest._id, 'refunded', user);
+  return { order, returnRequest: refundedReturn };
+};
+
+// Request a return for lines of a delivered order
+app.post('/orders/:orderId/returns', verifyToken, validate({
+  params: { orderId: rules.objectId },
+  body: {
+    items: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      items: { type: 'object', required: true, fields: { SKU: rules.SKU, quantity: { type: 'integer', required: true, min: 1 } } }
+    },
+    reason: { type: 'string', required: true, minLength: 3, maxLength: 500 }
+  }
+}), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { items, reason } = req.body;
     const userId = req.user.id;
 
-    const cart = await Cart.findOne({ userId });
-    if (!cart) {
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) {
       return res.status(404).json({
         success: false,
-        message: "Cart not found"
+        message: "Order not found"
       });
     }
 
-    const itemIndex = cart.items.findIndex(item => item.productId.toString() === productId);
-    if (itemIndex === -1) {
-      return res.status(404).json({
+    const delivered = order.status === 'delivered' && deliveredAt(order);
+    if (!delivered) {
+      return res.status(400).json({
         success: false,
-        message: "Item not found in cart"
+        message: "Only delivered orders can be returned"
+      });
+    }
+    if (Date.now() - delivered.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`
       });
     }
 
-    cart.items.splice(itemIndex, 1);
-    cart.updatedAt = Date.now();
-    await cart.save();
+    // Units already in open or completed returns can't be returned again
+    const previous = await ReturnRequest.find({ orderId, status: { $ne: 'rejected' } });
+    const alreadyReturned = (SKU) => previous.reduce((acc, returnRequest) =>
+      acc + returnRequest.items.filter(item => item.SKU === SKU).reduce((sum, item) => sum + item.quantity, 0), 0);
 
-    res.status(200).json({
+    const returnItems = [];
+    for (const { SKU, quantity } of items) {
+      const orderItem = order.items.find(item => item.SKU === SKU);
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: `SKU ${SKU} is not part of this order`
+        });
+      }
+      const returnable = orderItem.quantity - alreadyReturned(SKU) -
+        returnItems.filter(item => item.SKU === SKU).reduce((sum, item) => sum + item.quantity, 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `You can return up to ${returnable} of SKU ${SKU}`
+        });
+      }
+
+      returnItems.push({
+        SKU,
+        productName: orderItem.productName,
+        quantity,
+        refundAmount: roundMoney(paidPerUnit(orderItem, order) * quantity)
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      orderId,
+      userId,
+      items: returnItems,
+      reason,
+      history: [{ status: 'requested', actor: userId, actorRole: req.user.role, note: reason }]
+    });
+
+    res.status(201).json({
       success: true,
-      message: "Item removed from cart successfully",
-      cart
+      message: "Return requested successfully",
+      returnRequest
+    });
+  } catch (err) {
+    console.error("Request return error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting return"
+    });
+  }
+});
+
+// List returns for an order
+app.get('/orders/:orderId/returns', verifyToken, validate({
+  params: { orderId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ orderId: req.params.orderId, userId: req.user.id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      returns
     });
   } catch (err) {
-    console.error("Remove from cart error:", err);
+    console.error("Get returns error:", err);
     res.status(500).json({
       success: false,
-      message: "Error removing item from cart"
+      message: "Error retrieving returns"
     });
   }
 });
 
-// Clear cart
-app.delete('/clear-cart', verifyToken, async (req, res) => {
+// ==== ADMIN RETURN & REFUND ROUTES ====
+
+// List return requests, optionally filtered by status
+app.get('/admin/returns', verifyToken, requireRole('staff', 'admin'), validate({
+  query: { status: { type: 'string', enum: Object.keys(RETURN_STATUS_TRANSITIONS) } }
+}), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    const cart = await Cart.findOne({ userId });
-    if (!cart) {
-      return res.status(404).json({
-        success: false,
-        message: "Cart not found"
-      });
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
     }
 
-    cart.items = [];
-    cart.updatedAt = Date.now();
-    await cart.save();
+    const returns = await ReturnRequest.find(query).sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
-      message: "Cart cleared successfully",
-      cart
+      count: returns.length,
+      returns
     });
   } catch (err) {
-    console.error("Clear cart error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Error clearing cart"
-    });
+    console.error("Admin get returns error:", err);
+    res.status(500).json({ success: false, message: "Error retrieving returns" });
   }
 });
 
-// ==== WISHLIST ROUTES ====
-
-// Add item to wishlist
-app.post('/add-to-wishlist', verifyToken, async (req, res) => {
+// Approve, reject or mark a return received. Receiving restocks the items
+// and then refunds them. Receipt stands even when the refund can't go through
+// (no captured payment, or the provider failed): the response carries
+// refund: { status, reason } and the refund can be retried via /refund.
+app.post('/admin/returns/:returnId/:action(approve|reject|receive|refund)', verifyToken, requireRole('staff', 'admin'), validate({
+  params: { returnId: rules.objectId },
+  body: { note: { type: 'string', maxLength: 500 } }
+}), async (req, res) => {
   try {
-    const { productId } = req.body;
-    const userId = req.user.id;
+    const { returnId, action } = req.params;
+    const { note } = req.body;
 
-    if (!productId) {
-      return res.status(400).json({
-        success: false,
-        message: "Product ID is required"
+    let returnRequest;
+    let order;
+    let refund;
+    if (action === 'approve') {
+      returnRequest = await transitionReturn(returnId, 'approved', req.user, note);
+    } else if (action === 'reject') {
+      returnRequest = await transitionReturn(returnId, 'rejected', req.user, note);
+    } else if (action === 'receive') {
+      // Receipt and restock together, so a retry can't restock twice
+      returnRequest = await runInTransaction(async (session) => {
+        const received = await transitionReturn(returnId, 'received', req.user, note, session);
+        await releaseStock(received.items, session);
+        return received;
       });
-    }
 
-    let wishlist = await Wishlist.findOne({ userId });
-    if (!wishlist) {
-      wishlist = new Wishlist({ userId, items: [] });
+      try {
+        ({ order, returnRequest } = await refundReturn(returnRequest, req.user));
+        refund = { status: 'succeeded' };
+      } catch (err) {
+        if (!(err instanceof HttpError)) {
+          console.error(`Refund for return ${returnId} failed:`, err);
+        }
+        refund = { status: err instanceof HttpError ? 'not_refundable' : 'failed', reason: err.message };
+      }
+    } else {
+      returnRequest = await ReturnRequest.findById(returnId);
+      if (!returnRequest || returnRequest.status !== 'received') {
+        throw new HttpError(400, "Only received returns can be refunded");
+      }
+      ({ order, returnRequest } = await refundReturn(returnRequest, req.user));
     }
 
-    if (!wishlist.items.some(item => item.productId.toString() === productId)) {
-      wishlist.items.push({ productId, addedAt: Date.now() });
-      await wishlist.save();
-      
-      res.status(200).json({
-        success: true,
-        message: "Item added to wishlist",
-        wishlist
-      });
-    } else {
-      res.status(400).json({
+    res.status(200).json({
+      success: true,
+      message: `Return ${returnRequest.status}`,
+      returnRequest,
+      ...(order && { order }),
+      ...(refund && { refund })
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
         success: false,
-        message: "Item already in wishlist"
+        message: err.message
       });
     }
-  } catch (err) {
-    console.error("Add to wishlist error:", err);
+    console.error("Update return error:", err);
     res.status(500).json({
       success: false,
-      message: "Error adding item to wishlist"
+      message: "Error updating return"
     });
   }
 });
 
-// Retrieve wishlist items
-app.get('/get-wishlist', verifyToken, async (req, res) => {
+// Record a manual partial or full refund against a delivered or cancelled order
+app.post('/admin/orders/:orderId/refunds', verifyToken, requireRole('admin'), validate({
+  params: { orderId: rules.objectId },
+  body: {
+    amount: { type: 'number', required: true, min: 0.01 },
+    reason: { type: 'string', required: true, maxLength: 500 }
+  }
+}), async (req, res) => {
   try {
-    const wishlist = await Wishlist.findOne({ userId: req.user.id }).populate('items.productId');
-    
-    if (!wishlist) {
-      return res.json({
-        success: true,
-        message: "Wishlist is empty",
-        wishlist: { userId: req.user.id, items: [] }
+    const { orderId } = req.params;
+    const { amount, reason } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (order.status !== 'delivered' && order.status !== 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: "Only delivered or cancelled orders can be refunded"
       });
     }
-    
-    res.status(200).json({
+
+    const refundedOrder = await issueRefund(order._id, Number(amount), { reason, user: req.user });
+
+    res.status(201).json({
       success: true,
-      wishlist
+      message: "Refund issued successfully",
+      order: refundedOrder
     });
   } catch (err) {
-    console.error("Get wishlist error:", err);
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error("Refund order error:", err);
     res.status(500).json({
       success: false,
-      message: "Error retrieving wishlist"
+      message: "Error issuing refund"
     });
   }
 });
 
-// Remove item from wishlist
-app.delete('/remove-from-wishlist/:productId', verifyToken, async (req, res) => {
-  try {
-    const { productId } = req.params;
-    const userId = req.user.id;
+// ==== ADMIN REVIEW ROUTES ====
 
-    const wishlist = await Wishlist.findOne({ userId });
-    if (!wishlist) {
-      return res.status(404).json({
-        success: false,
-        message: "Wishlist not found"
-      });
+// Reviews for moderation, most reported first when ?reported=true
+app.get('/admin/reviews', verifyToken, requireRole('staff', 'admin'), validate({
+  query: {
+    status: { type: 'string', enum: ['published', 'hidden'] },
+    reported: { type: 'boolean' },
+    productId: { type: 'objectId' }
+  }
+}), async (req, res) => {
+  try {
+    const { status, reported, productId } = req.query;
+    const query = {};
+    if (status) {
+      query.status = status;
     }
-
-    const itemIndex = wishlist.items.findIndex(item => item.productId.toString() === productId);
-    if (itemIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: "Item not found in wishlist"
-      });
+    if (reported) {
+      query.reportCount = { $gt: 0 };
+    }
+    if (productId) {
+      query.productId = productId;
     }
 
-    wishlist.items.splice(itemIndex, 1);
-    await wishlist.save();
+    const reviews = await Review.find(query)
+      .sort(reported ? { reportCount: -1, createdAt: -1 } : { createdAt: -1 })
+      .limit(MAX_PAGE_SIZE);
 
     res.status(200).json({
       success: true,
-      message: "Item removed from wishlist successfully",
-      wishlist
+      count: reviews.length,
+      reviews
     });
   } catch (err) {
-    console.error("Remove from wishlist error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Error removing item from wishlist"
-    });
+    console.error("Admin get reviews error:", err);
+    res.status(500).json({ success: false, message: "Error retrieving reviews" });
   }
 });
 
-// Clear wishlist
-app.delete('/clear-wishlist', verifyToken, async (req, res) => {
+// Hide a review from the catalogue, or publish it again
+app.post('/admin/reviews/:reviewId/:action(hide|unhide)', verifyToken, requireRole('staff', 'admin'), validate({
+  params: { reviewId: rules.objectId },
+  body: { note: { type: 'string', maxLength: 500 } }
+}), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    const wishlist = await Wishlist.findOne({ userId });
-    if (!wishlist) {
-      return res.status(404).json({
-        success: false,
-        message: "Wishlist not found"
-      });
+    const review = await Review.findByIdAndUpdate(
+      req.params.reviewId,
+      {
+        $set: {
+          status: req.params.action === 'hide' ? 'hidden' : 'published',
+          moderation: { actor: req.user.id, note: req.body.note, at: new Date() }
+        }
+      },
+      { new: true }
+    );
+    if (!review) {
+      return res.status(404).json({ success: false, message: "Review not found" });
     }
 
-    wishlist.items = [];
-    await wishlist.save();
+    await refreshProductRating(review.productId);
 
     res.status(200).json({
       success: true,
-      message: "Wishlist cleared successfully",
-      wishlist
+      message: `Review ${review.status}`,
+      review
     });
   } catch (err) {
-    console.error("Clear wishlist error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Error clearing wishlist"
-    });
+    console.error("Moderate review error:", err);
+    res.status(500).json({ success: false, message: "Error moderating review" });
   }
 });
 
-// ==== ORDER ROUTES ====
+// ==== ADMIN COUPON ROUTES ====
 
-// Place an order
-app.post('/place-order', verifyToken, async (req, res) => {
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity',
+  'validFrom', 'validUntil', 'minCartValue', 'categories', 'SKUs', 'usageLimit',
+  'perUserLimit', 'active'
+];
+
+// List coupons
+app.get('/admin/coupons', verifyToken, requireRole('staff', 'admin'), async (req, res) => {
   try {
-    const { items, shippingAddress } = req.body;
-    const userId = req.user.id;
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
 
-    if (!items || !items.length) {
-      return res.status(400).json({
-        success: false,
-        message: "Order items are required"
-      });
-    }
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      coupons
+    });
+  } catch (err) {
+    console.error("Get coupons error:", err);
+    res.status(500).json({ success: false, message: "Error retrieving coupons" });
+  }
+});
 
-    // Calculate total price
-    const totalPrice = items.reduce((acc, item) => acc + (item.price * item.quantity), 0);
+// Create coupon
+const couponRules = {
+  code: { type: 'string', required: true, maxLength: 40 },
+  description: { type: 'string', maxLength: 500 },
+  type: { type: 'string', required: true, enum: ['percentage', 'fixed', 'buy_x_get_y', 'free_shipping'] },
+  value: { type: 'number', min: 0 },
+  maxDiscount: { type: 'number', min: 0 },
+  buyQuantity: { type: 'integer', min: 1 },
+  getQuantity: { type: 'integer', min: 1 },
+  validFrom: { type: 'string', format: 'date' },
+  validUntil: { type: 'string', format: 'date' },
+  minCartValue: { type: 'number', min: 0 },
+  categories: { type: 'array', items: { type: 'string', required: true, maxLength: 100 } },
+  SKUs: { type: 'array', items: { ...rules.SKU } },
+  usageLimit: { type: 'integer', min: 0 },
+  perUserLimit: { type: 'integer', min: 0 },
+  active: { type: 'boolean' }
+};
 
-    const order = new Order({
-      userId,
-      items,
-      totalPrice,
-      shippingAddress,
-      status: 'pending'
+app.post('/admin/coupons', verifyToken, requireRole('admin'), validate({ body: couponRules }), async (req, res) => {
+  try {
+    const coupon = new Coupon(pickFields(req.body, COUPON_FIELDS));
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      coupon
     });
-    
-    await order.save();
+  } catch (err) {
+    handleSaveError(res, err, "Error creating coupon");
+  }
+});
 
-    // Optionally clear the cart after placing order
-    await Cart.findOneAndUpdate(
-      { userId },
-      { $set: { items: [], updatedAt: Date.now() } }
-    );
+// Update coupon (set active: false to retire it)
+app.put('/admin/coupons/:code', verifyToken, requireRole('admin'), validate({
+  params: { code: { type: 'string', required: true, maxLength: 40 } },
+  body: optionalFields(couponRules)
+}), async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ code: req.params.code.toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+
+    coupon.set(pickFields(req.body, COUPON_FIELDS));
+    await coupon.save();
 
     res.status(200).json({
       success: true,
-      message: "Order placed successfully",
-      order
+      message: "Coupon updated successfully",
+      coupon
     });
   } catch (err) {
-    console.error("Place order error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Error placing order"
-    });
+    handleSaveError(res, err, "Error updating coupon");
   }
 });
 
-// Get user's orders
-app.get('/get-orders', verifyToken, async (req, res) => {
+// ==== ADMIN ORDER ROUTES ====
+
+// List orders for fulfilment, optionally filtered by status or order number
+app.get('/admin/orders', verifyToken, requireRole('staff', 'admin'), validate({
+  query: {
+    status: { type: 'string', enum: Object.keys(ORDER_STATUS_TRANSITIONS) },
+    orderNumber: { type: 'string', maxLength: 40 }
+  }
+}), async (req, res) => {
   try {
-    const orders = await Order.find({ userId: req.user.id })
-      .populate('items.productId')
-      .sort({ orderDate: -1 }); // Most recent orders first
-    
+    const { status, orderNumber } = req.query;
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+    if (orderNumber) {
+      query.orderNumber = orderNumber.trim().toUpperCase();
+    }
+
+    const orders = await Order.find(query).sort({ orderDate: -1 });
+
     res.status(200).json({
       success: true,
+      count: orders.length,
       orders
     });
   } catch (err) {
-    console.error("Get orders error:", err);
+    console.error("Admin get orders error:", err);
     res.status(500).json({
       success: false,
       message: "Error retrieving orders"
@@ -874,71 +6930,143 @@ app.get('/get-orders', verifyToken, async (req, res) => {
   }
 });
 
-// Get order details
-app.get('/order/:orderId', verifyToken, async (req, res) => {
+// Any order's invoice, as JSON or ?format=pdf
+app.get('/admin/orders/:orderId/invoice', verifyToken, requireRole('staff', 'admin'), invoiceValidation, async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const userId = req.user.id;
-
-    const order = await Order.findOne({ _id: orderId, userId })
-      .populate('items.productId');
-    
-    if (!order) {
+    const invoice = await Invoice.findOne({ orderId: req.params.orderId });
+    if (!invoice) {
       return res.status(404).json({
         success: false,
-        message: "Order not found"
+        message: "No invoice for this order yet"
       });
     }
-    
-    res.status(200).json({
-      success: true,
-      order
-    });
+
+    sendInvoice(res, invoice, req.query.format);
   } catch (err) {
-    console.error("Get order details error:", err);
+    console.error("Admin get invoice error:", err);
     res.status(500).json({
       success: false,
-      message: "Error retrieving order details"
+      message: "Error retrieving invoice"
     });
   }
 });
 
-// Cancel order
-app.post('/cancel-order/:orderId', verifyToken, async (req, res) => {
+// Move an order to its next status
+app.post('/admin/orders/:orderId/status', verifyToken, requireRole('staff', 'admin'), validate({
+  params: { orderId: rules.objectId },
+  body: {
+    status: { type: 'string', required: true, enum: Object.keys(ORDER_STATUS_TRANSITIONS) },
+    note: { type: 'string', maxLength: 500 }
+  }
+}), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const userId = req.user.id;
+    const { status, note } = req.body;
 
-    const order = await Order.findOne({ _id: orderId, userId });
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: "Order not found"
-      });
+    let order = await transitionOrderStatus(orderId, status, { user: req.user, note });
+    if (status === 'cancelled') {
+      order = await refundCancelledOrder(order, req.user);
     }
 
-    // Only allow cancellation if order is pending or processing
-    if (order.status !== 'pending' && order.status !== 'processing') {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      message: `Order moved to ${status}`,
+      order,
+      timeline: orderTimeline(order)
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
         success: false,
-        message: `Cannot cancel order in ${order.status} status`
+        message: err.message
       });
     }
+    console.error("Update order status error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error updating order status"
+    });
+  }
+});
 
-    order.status = 'cancelled';
-    await order.save();
+// ==== ADMIN JOB ROUTES ====
+
+// Scheduled jobs with their last run, and which instance currently leads
+app.get('/admin/jobs', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const [lease, lastRuns] = await Promise.all([
+      JobLock.findById('scheduler'),
+      Promise.all(Object.keys(JOBS).map(name =>
+        JobRun.findOne({ job: name }).sort({ startedAt: -1 }).select("-touched")
+      ))
+    ]);
 
     res.status(200).json({
       success: true,
-      message: "Order cancelled successfully",
-      order
+      leader: lease && lease.lockedUntil > new Date() ? { instance: lease.owner, until: lease.lockedUntil } : null,
+      jobs: Object.entries(JOBS).map(([name, job], index) => ({
+        name,
+        intervalMs: job.intervalMs,
+        lastRun: lastRuns[index]
+      }))
     });
   } catch (err) {
-    console.error("Cancel order error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Error cancelling order"
+    console.error("Admin get jobs error:", err);
+    res.status(500).json({ success: false, message: "Error retrieving jobs" });
+  }
+});
+
+// Recent runs, newest first, optionally for one job
+app.get('/admin/jobs/runs', verifyToken, requireRole('admin'), validate({
+  query: {
+    job: { type: 'string', enum: Object.keys(JOBS) },
+    status: { type: 'string', enum: ['running', 'succeeded', 'failed'] },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+  }
+}), async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const query = {};
+    if (job) {
+      query.job = job;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const runs = await JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .limit(req.query.limit || DEFAULT_PAGE_SIZE)
+      .select("-touched");
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      runs
     });
+  } catch (err) {
+    console.error("Admin get job runs error:", err);
+    res.status(500).json({ success: false, message: "Error retrieving job runs" });
+  }
+});
+
+// One run, including the documents it touched
+app.get('/admin/jobs/runs/:runId', verifyToken, requireRole('admin'), validate({
+  params: { runId: rules.objectId }
+}), async (req, res) => {
+  try {
+    const run = await JobRun.findById(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, message: "Job run not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      run
+    });
+  } catch (err) {
+    console.error("Admin get job run error:", err);
+    res.status(500).json({ success: false, message: "Error retrieving job run" });
   }
 });
 
@@ -946,6 +7074,16 @@ app.post('/cancel-order/:orderId', verifyToken, async (req, res) => {
 
 // Global Error Handler
 app.use((err, req, res, next) => {
+  // Malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Request body is not valid JSON',
+      code: 'invalid_json',
+      errors: [{ field: 'body', code: 'invalid_json', message: 'Request body is not valid JSON' }]
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({ 
     success: false, 
@@ -964,4 +7102,7 @@ app.use((req, res) => {
 // Start server
 app.listen(port, () => {
   console.log(`🚀 Server running on port ${port}`);
+
+  // Scheduled jobs (unpaid order expiry, abandoned-cart reminders)
+  startScheduler();
 });